@@ -0,0 +1,315 @@
+// Build-time data pipeline. Vendors every dataset in the registry, and the
+// second-level divisions of those that have them, into normalized,
+// simplified TopoJSON under public/data so the app never fetches boundaries
+// from third-party hosts. The output and its manifest are committed, so
+// every build ships the same data and CI only checks it.
+//
+//   npm run data               fetch, normalize, simplify, validate and write
+//   npm run data -- US CA      rebuild only the named datasets
+//   npm run data -- --check    validate the vendored files without fetching
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import shp from 'shpjs';
+import * as topojson from 'topojson-client';
+import { topology } from 'topojson-server';
+import { presimplify, simplify, sphericalTriangleArea } from 'topojson-simplify';
+import {
+  DATASETS,
+  getChildrenFile,
+  getChildSourceUrl,
+  getDatasetFile,
+  VENDORED_OBJECT
+} from '../src/data/datasets/index.js';
+import { isFallbackCode, normalizeChildren, normalizeSource, toFeatureCollection } from '../src/data/normalize.js';
+import { geodesicArea } from '../src/utils/sphericalGeometry.js';
+
+const OUTPUT_DIR = fileURLToPath(new URL('../public/data/', import.meta.url));
+const MANIFEST_PATH = `${OUTPUT_DIR}manifest.json`;
+
+// Quantize to ~1m at the equator and drop vertices whose triangles cover
+// less than this many steradians (~0.08 km²) unless a dataset overrides it
+const QUANTIZATION = 1e5;
+const DEFAULT_MIN_WEIGHT = 2e-9;
+
+// Simplified features may change area by at most this fraction, unless the
+// change is below MIN_AREA_CHANGE_KM2 (tiny islands and city territories)
+const MAX_SIMPLIFIED_AREA_CHANGE = 0.02;
+const MIN_AREA_CHANGE_KM2 = 1;
+
+// Sources must be pinned to a release, tag or commit so the vendored files
+// can be rebuilt from the same input. URLs following a branch aren't.
+const BRANCH_PATTERN = /[/@](?:master|main|HEAD)(?:\/|$)/;
+
+// Registry sources that follow a branch, as problems to report
+function findUnpinnedSources(dataset) {
+  return [dataset.source, dataset.children?.source]
+    .filter(source => source && BRANCH_PATTERN.test(source.url))
+    .map(source => `${dataset.id}: ${source.url} follows a branch; pin it to a tag or commit`);
+}
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+async function fetchSource(url, label) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${label}: HTTP ${response.status} from ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Parse a fetched division source into a GeoJSON FeatureCollection. Zipped
+// Shapefiles are reprojected to longitude/latitude using their .prj.
+async function parseChildSource(bytes, source) {
+  if (source.format === 'shapefile') {
+    const result = await shp(bytes);
+    return { type: 'FeatureCollection', features: [].concat(result).flatMap(c => c.features) };
+  }
+  return toFeatureCollection(JSON.parse(new TextDecoder().decode(bytes)), source.format, source.object);
+}
+
+function simplifyCollection(collection, minWeight) {
+  let topo = topology({ [VENDORED_OBJECT]: collection }, QUANTIZATION);
+  topo = presimplify(topo, sphericalTriangleArea);
+  topo = simplify(topo, minWeight ?? DEFAULT_MIN_WEIGHT);
+  return topo;
+}
+
+function isValidPosition(position) {
+  return Number.isFinite(position[0]) && Number.isFinite(position[1])
+    && Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+function allPositions(coordinates, test) {
+  if (typeof coordinates[0] === 'number') return test(coordinates);
+  return coordinates.every(coord => allPositions(coord, test));
+}
+
+// Check a vendored collection. Errors fail the build; warnings are reported.
+function validateCollection(collection, dataset) {
+  const errors = [];
+  const warnings = [];
+  const codes = new Map();
+
+  if (collection.features.length === 0) {
+    errors.push('no features');
+  }
+
+  collection.features.forEach(feature => {
+    const { name, code, country, parent, area_km2: area } = feature.properties;
+    const label = name || '(unnamed)';
+
+    if (!name) errors.push('feature without a name');
+    if (!code) errors.push(`${label}: missing code`);
+    // Divisions inherit their region's code, which is reported with the region
+    else if (isFallbackCode(code) && !parent) warnings.push(`${label}: no ISO code, using ${code}`);
+    if (country !== dataset.country) errors.push(`${label}: country ${country}, expected ${dataset.country}`);
+    if (!(area > 0)) errors.push(`${label}: area must be positive`);
+
+    const type = feature.geometry?.type;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      errors.push(`${label}: unsupported geometry ${type}`);
+    } else if (!allPositions(feature.geometry.coordinates, isValidPosition)) {
+      errors.push(`${label}: coordinates out of range`);
+    } else {
+      const simplifiedArea = geodesicArea(feature.geometry.coordinates);
+      const change = Math.abs(simplifiedArea - area);
+      if (change / area > MAX_SIMPLIFIED_AREA_CHANGE && change > MIN_AREA_CHANGE_KM2) {
+        errors.push(`${label}: simplified area ${Math.round(simplifiedArea)} km² drifted from ${area} km²`);
+      }
+    }
+
+    if (code) {
+      if (codes.has(code)) errors.push(`${label}: code ${code} already used by ${codes.get(code)}`);
+      codes.set(code, label);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+async function readManifest() {
+  try {
+    return JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+  } catch {
+    return { datasets: {} };
+  }
+}
+
+// Simplify, validate and write a normalized collection. Returns the
+// manifest fields describing the written file.
+async function writeCollection(collection, dataset, file, { label, minWeight }) {
+  const topo = simplifyCollection(collection, minWeight);
+  const output = JSON.stringify(topo);
+
+  const { errors, warnings } = validateCollection(topojson.feature(topo, topo.objects[VENDORED_OBJECT]), dataset);
+  warnings.forEach(warning => console.warn(`${label}: ${warning}`));
+  if (errors.length > 0) {
+    throw new Error(`${label} failed validation:\n  ${errors.join('\n  ')}`);
+  }
+
+  await writeFile(`${OUTPUT_DIR}${file}`, output);
+  console.log(`${label}: ${collection.features.length} features -> ${file} (${Math.round(output.length / 1024)} KB)`);
+
+  return { file, sha256: sha256(output), features: collection.features.length };
+}
+
+// Vendor every region's second-level divisions into one file. Sources are
+// fetched once per url, so regions that share a source don't refetch it.
+async function buildChildren(dataset, parents, previous) {
+  const { children } = dataset;
+  const label = `${dataset.id} ${children.label.toLowerCase()}`;
+  const sources = new Map();
+  const features = [];
+
+  for (const parent of parents) {
+    const url = getChildSourceUrl(dataset, parent);
+    if (!url) {
+      console.warn(`${label}: no source for ${parent.properties.name}`);
+      continue;
+    }
+    if (!sources.has(url)) {
+      const bytes = await fetchSource(url, label);
+      sources.set(url, { sha256: sha256(bytes), geojson: await parseChildSource(bytes, children.source) });
+    }
+    normalizeChildren(sources.get(url).geojson, dataset, parent).forEach(feature => {
+      // Small divisions can collapse to a line in coarse sources
+      if (feature.properties.area_km2 > 0) features.push(feature);
+      else console.warn(`${label}: dropped ${feature.properties.name}, which has no area in the source`);
+    });
+  }
+
+  const sourceSha256 = sha256([...sources.values()].map(source => source.sha256).join('\n'));
+  if (previous?.version === dataset.version && previous.sourceSha256 !== sourceSha256) {
+    throw new Error(`${label}: source changed upstream; bump ${dataset.id}'s version in the registry`);
+  }
+
+  const collection = { type: 'FeatureCollection', features };
+  return {
+    version: dataset.version,
+    source: children.source.url,
+    sourceSha256,
+    ...await writeCollection(collection, dataset, getChildrenFile(dataset), { label, minWeight: children.simplify })
+  };
+}
+
+async function buildDataset(dataset, previous) {
+  const text = new TextDecoder().decode(await fetchSource(dataset.source.url, dataset.id));
+  if (previous?.version === dataset.version && previous.sourceSha256 !== sha256(text)) {
+    throw new Error(`${dataset.id}: source changed upstream; bump its version in the registry`);
+  }
+  const collection = normalizeSource(JSON.parse(text), dataset);
+  const entry = {
+    version: dataset.version,
+    source: dataset.source.url,
+    sourceSha256: sha256(text),
+    ...await writeCollection(collection, dataset, getDatasetFile(dataset), {
+      label: dataset.id,
+      minWeight: dataset.simplify
+    })
+  };
+
+  if (dataset.children) {
+    entry.children = await buildChildren(dataset, collection.features, previous?.children);
+  }
+  return entry;
+}
+
+// Delete vendored files the manifest no longer lists, such as the output
+// of a dataset's previous version
+async function removeStaleFiles(manifest) {
+  const files = new Set(Object.values(manifest.datasets)
+    .filter(Boolean)
+    .flatMap(entry => [entry.file, entry.children?.file])
+    .filter(Boolean));
+  for (const file of await readdir(OUTPUT_DIR)) {
+    if (file.endsWith('.topo.json') && !files.has(file)) {
+      await rm(`${OUTPUT_DIR}${file}`);
+      console.log(`Removed ${file}`);
+    }
+  }
+}
+
+// Build the datasets named on the command line, or all of them. Other
+// datasets keep their manifest entries and files.
+async function build(ids) {
+  const unknown = ids.filter(id => !DATASETS.some(dataset => dataset.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown dataset ${unknown.join(', ')}`);
+  }
+  const datasets = ids.length > 0 ? DATASETS.filter(dataset => ids.includes(dataset.id)) : DATASETS;
+  const unpinned = datasets.flatMap(findUnpinnedSources);
+  if (unpinned.length > 0) {
+    throw new Error(unpinned.join('\n'));
+  }
+
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  const previous = await readManifest();
+  const manifest = { datasets: {} };
+
+  for (const dataset of DATASETS) {
+    manifest.datasets[dataset.id] = datasets.includes(dataset)
+      ? await buildDataset(dataset, previous.datasets[dataset.id])
+      : previous.datasets[dataset.id];
+  }
+
+  await writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Wrote ${MANIFEST_PATH}`);
+  await removeStaleFiles(manifest);
+}
+
+// Validate one vendored file against its manifest entry
+async function checkFile(entry, expectedFile, dataset, label) {
+  const rebuild = `run \`npm run data -- ${dataset.id}\` and commit public/data`;
+  if (!entry) {
+    return [`${label}: not in manifest, ${rebuild}`];
+  }
+  if (entry.file !== expectedFile) {
+    return [`${label}: manifest has ${entry.file}, registry expects ${expectedFile}; ${rebuild}`];
+  }
+
+  let output;
+  try {
+    output = await readFile(`${OUTPUT_DIR}${entry.file}`, 'utf8');
+  } catch {
+    return [`${label}: ${entry.file} is missing; ${rebuild}`];
+  }
+  const problems = [];
+  if (sha256(output) !== entry.sha256) {
+    problems.push(`${label}: ${entry.file} does not match its manifest checksum`);
+  }
+  const topo = JSON.parse(output);
+  const { errors, warnings } = validateCollection(topojson.feature(topo, topo.objects[VENDORED_OBJECT]), dataset);
+  warnings.forEach(warning => console.warn(`${label}: ${warning}`));
+  errors.forEach(error => problems.push(`${label}: ${error}`));
+  return problems;
+}
+
+async function check() {
+  const manifest = await readManifest();
+  const problems = [];
+
+  for (const dataset of DATASETS) {
+    const entry = manifest.datasets[dataset.id];
+    problems.push(...findUnpinnedSources(dataset));
+    problems.push(...await checkFile(entry, getDatasetFile(dataset), dataset, dataset.id));
+    if (dataset.children) {
+      const label = `${dataset.id} ${dataset.children.label.toLowerCase()}`;
+      problems.push(...await checkFile(entry?.children, getChildrenFile(dataset), dataset, label));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Vendored data is invalid:\n  ${problems.join('\n  ')}`);
+  }
+  console.log(`All ${DATASETS.length} vendored datasets are valid`);
+}
+
+const args = process.argv.slice(2);
+const run = args.includes('--check') ? check : () => build(args.filter(arg => !arg.startsWith('--')));
+run().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
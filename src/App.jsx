@@ -1,36 +1,203 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect, useRef } from 'react'
 import './App.css'
 import MapView from './components/Map/MapView'
 import SearchBox from './components/Search/SearchBox'
 import OverlayList from './components/Sidebar/OverlayList'
+import DatasetStatus from './components/Sidebar/DatasetStatus'
+import BrowsePanel from './components/Sidebar/BrowsePanel'
 import { useMapOverlays } from './hooks/useMapOverlays'
 import { useStateSearch } from './hooks/useStateSearch'
+import { useComparisonSync } from './hooks/useComparisonSync'
+import CopyLinkButton from './components/Share/CopyLinkButton'
+import ExportMenu from './components/Share/ExportMenu'
+import ImportButton from './components/Share/ImportButton'
+import FileDropZone from './components/Share/FileDropZone'
+import DrawToolbar from './components/Map/DrawToolbar'
+import SavedComparisons from './components/Sidebar/SavedComparisons'
+import ReferenceShapes from './components/Sidebar/ReferenceShapes'
+import ComparisonPanel from './components/Sidebar/ComparisonPanel'
+import OverlapPanel from './components/Sidebar/OverlapPanel'
+import HowManyFitPanel from './components/Sidebar/HowManyFitPanel'
+import { useSavedComparisons } from './hooks/useSavedComparisons'
+import { useOverlayImport } from './hooks/useOverlayImport'
+import { useUserDataset } from './hooks/useUserDataset'
+import { useOverlapAnalysis } from './hooks/useOverlapAnalysis'
+import { useHowManyFit } from './hooks/useHowManyFit'
+import { useOverlayKeyboard } from './hooks/useOverlayKeyboard'
+import { toComparisonState } from './utils/comparisonState'
+import { DATASETS } from './data/datasets/index.js'
+import { createUserFeature, createMergedFeature, nameDrawnShape } from './data/userFeatures.js'
+import { createReferenceFeature, placeReferenceShape } from './data/referenceShapes.js'
+
+const datasetLabels = DATASETS.map(d => d.label)
+const subtitleCountries = datasetLabels.length > 1
+  ? `${datasetLabels.slice(0, -1).join(', ')} & ${datasetLabels[datasetLabels.length - 1]}`
+  : datasetLabels.join('')
 
 function App() {
   const {
     overlays,
     selectedOverlayId,
+    lastAddedId,
     addOverlay,
+    addOverlays,
+    restoreOverlays,
     removeOverlay,
-    updateOverlay,
+    transformOverlay,
     clearAllOverlays,
+    setTemporaryCopies,
     resetOverlay,
-    selectOverlay
+    selectOverlay,
+    beginGesture,
+    endGesture,
+    undo,
+    redo,
+    canUndo,
+    canRedo
   } = useMapOverlays();
 
-  const [editModeId, setEditModeId] = useState(null);
+  const [editModeTarget, setEditModeId] = useState(null);
+  // Undo, redo or loading a comparison can remove the overlay being edited
+  const editModeId = overlays.some(o => o.id === editModeTarget) ? editModeTarget : null;
+
+  const {
+    userFeatures,
+    userFeaturesLoaded,
+    addUserFeatures,
+    removeUserFeature
+  } = useUserDataset();
 
   const {
     searchQuery,
     setSearchQuery,
     searchResults,
-    isLoading
-  } = useStateSearch();
+    searchGroups,
+    areaSearch,
+    searchableDatasets,
+    countryFilter,
+    setCountryFilter,
+    searchSimilarTo,
+    expandChildren,
+    childStatus,
+    retryChildren,
+    loadChildrenFor,
+    allStates,
+    importedFeatures,
+    getStateByCode,
+    isLoading,
+    datasetsSettled,
+    datasetStatus,
+    retryDataset
+  } = useStateSearch({ userFeatures, userFeaturesLoaded });
+
+  const [mapView, setMapView] = useState(null);
+  // Leaflet map instance, used by the image export
+  const mapRef = useRef(null);
+
+  const { initialView, shareUrl } = useComparisonSync({
+    overlays,
+    selectedOverlayId,
+    view: mapView,
+    datasetsSettled,
+    getStateByCode,
+    loadChildrenFor,
+    restoreOverlays
+  });
+
+  const {
+    comparisons,
+    saveComparison,
+    renameComparison,
+    duplicateComparison,
+    deleteComparison,
+    loadComparison
+  } = useSavedComparisons({ mapRef, getStateByCode, loadChildrenFor, restoreOverlays });
+
+  const handleSaveComparison = useCallback((name) => {
+    saveComparison(name, toComparisonState({ overlays, selectedOverlayId, view: mapView }));
+  }, [saveComparison, overlays, selectedOverlayId, mapView]);
+
+  // Leave edit mode when a saved comparison replaces the overlays
+  const handleLoadComparison = useCallback((id) => {
+    setEditModeId(null);
+    return loadComparison(id);
+  }, [loadComparison]);
+
+  const { importFiles, importResults, dismissImportResults } = useOverlayImport({
+    getStateByCode,
+    loadChildrenFor,
+    restoreOverlays,
+    addOverlay,
+    addUserFeatures
+  });
+
+  // An overlay export replaces the current overlays, like loading a comparison
+  const handleImportFiles = useCallback((files) => {
+    setEditModeId(null);
+    return importFiles(files);
+  }, [importFiles]);
+
+  const overlap = useOverlapAnalysis(overlays, selectedOverlayId);
+  const fit = useHowManyFit({ overlays, setTemporaryCopies });
+
+  // Snap rotations made with the on-map handle to 15° steps
+  const [snapRotation, setSnapRotation] = useState(false);
+
+  const [drawMode, setDrawMode] = useState(null);
+  const [circleRadiusKm, setCircleRadiusKm] = useState(10);
+
+  const handleChangeDrawMode = useCallback((mode) => {
+    setEditModeId(null);
+    setDrawMode(mode);
+  }, []);
+
+  // Drawn shapes join the user's shapes, so they persist and can be searched,
+  // and become overlays like any state
+  const handleDrawComplete = useCallback(({ ring, mode }) => {
+    const feature = createUserFeature(
+      { type: 'Polygon', coordinates: [ring] },
+      nameDrawnShape(mode, userFeatures),
+      'drawn'
+    );
+    setDrawMode(null);
+    if (!feature) return;
+    addUserFeatures([feature]);
+    addOverlay(feature, { focus: false });
+  }, [userFeatures, addUserFeatures, addOverlay]);
+
+  const handleDrawCancel = useCallback(() => setDrawMode(null), []);
+
+  // Dissolve regions into one shape, kept in My shapes so saved and shared
+  // comparisons can restore it. Returns the new overlay id, or null.
+  const handleMergeStates = useCallback((features) => {
+    const feature = createMergedFeature(features);
+    if (!feature) return null;
+    addUserFeatures([feature]);
+    return addOverlay(feature);
+  }, [addUserFeatures, addOverlay]);
+
+  // Reference shapes go beside the selected overlay, or at the map center
+  const handleAddReference = useCallback((spec) => {
+    const feature = createReferenceFeature(spec);
+    if (!feature) return 'That shape is too large to draw on the globe';
+    const mapCenter = mapRef.current?.getCenter();
+    const center = mapCenter ? [mapCenter.lng, mapCenter.lat] : [0, 0];
+    const overlay = overlays.find(o => o.id === selectedOverlayId);
+    // Shapes are built around 0°, 0°, so the offset is where they land
+    addOverlay(feature, { offset: placeReferenceShape(feature, { overlay, center }) });
+    return null;
+  }, [overlays, selectedOverlayId, addOverlay]);
 
   const handleSelectState = (stateFeature) => {
     addOverlay(stateFeature);
   };
 
+  // Overlays only keep a copy of their feature, so look the region up again
+  const handleExpandOverlay = useCallback((overlay) => {
+    const feature = getStateByCode(overlay.code, overlay.country);
+    if (feature) expandChildren(feature);
+  }, [getStateByCode, expandChildren]);
+
   // Handle overlay selection - with optional toggle for edit mode
   const handleSelectOverlay = useCallback((id, toggleEditMode = false) => {
     selectOverlay(id);
@@ -53,22 +220,90 @@ function App() {
     clearAllOverlays();
   }, [clearAllOverlays]);
 
+  const keyboard = useOverlayKeyboard({
+    mapRef,
+    overlays,
+    selectedOverlayId,
+    editModeId,
+    setEditModeId,
+    selectOverlay,
+    transformOverlay,
+    removeOverlay: handleRemoveOverlay,
+    beginGesture,
+    endGesture
+  });
+
+  // Ctrl+Z / Cmd+Z to undo, with Shift (or Ctrl+Y) to redo. Text fields
+  // keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
   return (
     <div className="app">
       <header className="app-header">
-        <h1>🗺️ True Size Comparison</h1>
-        <p className="subtitle">Compare US, India, Pakistan, China & Canada state sizes on the map</p>
+        <div className="app-title">
+          <h1>🗺️ True Size Comparison</h1>
+          <p className="subtitle">Compare {subtitleCountries} state sizes on the map</p>
+        </div>
+        <div className="header-actions">
+          <ImportButton
+            onImport={handleImportFiles}
+            results={importResults}
+            onDismiss={dismissImportResults}
+          />
+          <ExportMenu mapRef={mapRef} overlays={overlays} />
+          <CopyLinkButton url={shareUrl} />
+        </div>
       </header>
       
-      <div className="app-content">
+      <FileDropZone className="app-content" onDropFiles={handleImportFiles}>
         <aside className="sidebar">
           <SearchBox
             searchQuery={searchQuery}
             setSearchQuery={setSearchQuery}
             searchResults={searchResults}
+            searchGroups={searchGroups}
+            areaSearch={areaSearch}
+            searchableDatasets={searchableDatasets}
+            countryFilter={countryFilter}
+            setCountryFilter={setCountryFilter}
+            importedFeatures={importedFeatures}
             onSelectState={handleSelectState}
+            onExpandState={expandChildren}
+            childStatus={childStatus}
+            onRemoveImported={removeUserFeature}
             isLoading={isLoading}
           />
+
+          <DatasetStatus
+            datasetStatus={datasetStatus}
+            onRetry={retryDataset}
+            childStatus={childStatus}
+            onRetryChildren={retryChildren}
+          />
+
+          <BrowsePanel
+            allStates={allStates}
+            overlays={overlays}
+            onAddStates={addOverlays}
+            onMergeStates={handleMergeStates}
+          />
           
           <OverlayList
             overlays={overlays}
@@ -78,29 +313,117 @@ function App() {
             onRemoveOverlay={handleRemoveOverlay}
             onClearAll={handleClearAll}
             onResetOverlay={resetOverlay}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onUndo={undo}
+            onRedo={redo}
             onToggleEditMode={(id) => setEditModeId(prev => prev === id ? null : id)}
+            onFindSimilar={searchSimilarTo}
+            onExpand={handleExpandOverlay}
+            childStatus={childStatus}
+            onItemKeyDown={keyboard.handleItemKeyDown}
+            onItemKeyUp={keyboard.handleKeyUp}
+            onItemBlur={keyboard.handleBlur}
+          />
+
+          <ComparisonPanel
+            overlays={overlays}
+            selectedOverlayId={selectedOverlayId}
+          />
+
+          <OverlapPanel
+            overlays={overlays}
+            a={overlap.a}
+            b={overlap.b}
+            analysis={overlap.analysis}
+            highlight={overlap.highlight}
+            onChangePair={overlap.setPair}
+            onChangeHighlight={overlap.setHighlight}
+          />
+
+          <HowManyFitPanel
+            overlays={fit.candidates}
+            small={fit.small}
+            large={fit.large}
+            result={fit.result}
+            isStale={fit.isStale}
+            packing={fit.packing}
+            copyCount={fit.copyCount}
+            onChangePair={fit.setPair}
+            onPack={fit.pack}
+            onClear={fit.clear}
+          />
+
+          <ReferenceShapes onAdd={handleAddReference} />
+
+          <SavedComparisons
+            comparisons={comparisons}
+            canSave={overlays.length > 0}
+            onSave={handleSaveComparison}
+            onLoad={handleLoadComparison}
+            onRename={renameComparison}
+            onDuplicate={duplicateComparison}
+            onDelete={deleteComparison}
           />
         </aside>
         
-        <main className="map-wrapper">
+        {/* Captured before Leaflet sees the key, so arrows move an overlay
+            being edited instead of panning the map */}
+        <main
+          className="map-wrapper"
+          onKeyDownCapture={keyboard.handleMapKeyDown}
+          onKeyUp={keyboard.handleKeyUp}
+          onBlur={keyboard.handleBlur}
+        >
           <MapView
+            ref={mapRef}
             overlays={overlays}
             selectedOverlayId={selectedOverlayId}
             editModeId={editModeId}
+            flyToOverlayId={lastAddedId}
+            initialView={initialView || undefined}
             onSelectOverlay={handleSelectOverlay}
-            onUpdateOverlay={updateOverlay}
+            onTransformOverlay={transformOverlay}
+            onGestureStart={beginGesture}
+            onGestureEnd={endGesture}
+            onViewChange={setMapView}
+            highlightGeometry={overlap.highlightGeometry}
+            highlightKey={overlap.highlightKey}
+            drawMode={drawMode}
+            circleRadiusKm={circleRadiusKm}
+            onDrawComplete={handleDrawComplete}
+            onDrawCancel={handleDrawCancel}
+            snapRotation={snapRotation}
+          />
+          <DrawToolbar
+            drawMode={drawMode}
+            onChangeMode={handleChangeDrawMode}
+            onRadiusChange={setCircleRadiusKm}
           />
           {editModeId && (
             <div className="edit-mode-banner">
-              ✏️ Edit mode: Drag to move • Double-tap to exit
+              ✏️ Edit mode: Drag or use arrow keys to move • Turn ⟳ or press [ ] to rotate • Double-tap or Enter to exit
+              <label className="snap-toggle">
+                <input
+                  type="checkbox"
+                  checked={snapRotation}
+                  onChange={(e) => setSnapRotation(e.target.checked)}
+                />
+                Snap to 15°
+              </label>
             </div>
           )}
         </main>
+      </FileDropZone>
+
+      <div className="visually-hidden" role="status" aria-live="polite">
+        {keyboard.announcement}
       </div>
       
       <footer className="app-footer">
         <p>
-          Double-tap a state to enter edit mode. Drag to move, two-finger rotate.
+          Double-tap a state to enter edit mode. Drag to move, turn the ⟳ handle or two fingers to rotate.
+          On the map, Tab selects states and Enter edits them with the keyboard.
           States appear larger near the poles (Mercator distortion).
         </p>
       </footer>
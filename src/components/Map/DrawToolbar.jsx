@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import './DrawToolbar.css';
+
+const MODES = [
+  { id: 'polygon', icon: '⬠', label: 'Polygon', hint: 'Click to add points • double-click or click the first point to finish' },
+  { id: 'freehand', icon: '✎', label: 'Freehand', hint: 'Press and drag to draw an outline' },
+  { id: 'circle', icon: '◯', label: 'Circle', hint: 'Click to place the center' },
+  { id: 'rectangle', icon: '▭', label: 'Rectangle', hint: 'Press and drag from corner to corner' }
+];
+
+const KM_PER_MILE = 1.609344;
+
+// Drawing mode picker shown over the map. The circle radius is entered here
+// and reported in km through onRadiusChange.
+export default function DrawToolbar({ drawMode, onChangeMode, onRadiusChange }) {
+  const [radius, setRadius] = useState('10');
+  const [unit, setUnit] = useState('km');
+  const activeMode = MODES.find(m => m.id === drawMode);
+
+  const updateRadius = (value, nextUnit) => {
+    setRadius(value);
+    setUnit(nextUnit);
+    const number = Number(value);
+    onRadiusChange(number > 0 ? (nextUnit === 'mi' ? number * KM_PER_MILE : number) : 0);
+  };
+
+  return (
+    <div className="draw-toolbar">
+      <div className="draw-modes" role="toolbar" aria-label="Draw a shape">
+        {MODES.map(mode => (
+          <button
+            key={mode.id}
+            className={`draw-mode-button ${drawMode === mode.id ? 'active' : ''}`}
+            onClick={() => onChangeMode(drawMode === mode.id ? null : mode.id)}
+            aria-pressed={drawMode === mode.id}
+            title={`Draw a ${mode.label.toLowerCase()}`}
+          >
+            <span className="draw-mode-icon">{mode.icon}</span>
+            <span className="draw-mode-label">{mode.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {drawMode === 'circle' && (
+        <label className="draw-radius">
+          Radius
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={radius}
+            onChange={(e) => updateRadius(e.target.value, unit)}
+          />
+          <select value={unit} onChange={(e) => updateRadius(radius, e.target.value)}>
+            <option value="km">km</option>
+            <option value="mi">mi</option>
+          </select>
+        </label>
+      )}
+
+      {activeMode && (
+        <div className="draw-hint">
+          {activeMode.hint} • Esc to cancel
+          <button className="draw-cancel-button" onClick={() => onChangeMode(null)}>
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
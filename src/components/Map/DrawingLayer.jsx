@@ -0,0 +1,244 @@
+import { useEffect, useRef, useState } from 'react';
+import { Polygon, Polyline, CircleMarker, Marker, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { clampLatitude, densifyRing, rectangleRing, circleRing } from '../../utils/drawShapes';
+import { geodesicArea } from '../../utils/sphericalGeometry.js';
+import { formatArea } from '../../utils/geoUtils';
+
+// A pointer that moves less than this between down and up is a click
+const CLICK_TOLERANCE = 5;
+// Freehand outlines take a point every few pixels
+const FREEHAND_SPACING = 4;
+// Clicking this close to the first vertex closes a polygon
+const CLOSE_DISTANCE = 10;
+const DOUBLE_TAP_MS = 400;
+
+const DRAFT_STYLE = {
+  color: '#333',
+  weight: 2,
+  dashArray: '6, 6',
+  fillColor: '#4ECDC4',
+  fillOpacity: 0.25
+};
+
+const toLatLngs = (ring) => ring.map(([lng, lat]) => [lat, lng]);
+
+// The closed ring for the shape being drawn, or null if there isn't one yet
+function getDraftRing(mode, points, cursor, circleRadiusKm) {
+  switch (mode) {
+    case 'polygon': {
+      const vertices = cursor ? [...points, cursor] : points;
+      return vertices.length >= 3 ? densifyRing(vertices) : null;
+    }
+    case 'freehand':
+      return points.length >= 3 ? densifyRing(points) : null;
+    case 'rectangle':
+      return points.length === 1 && cursor ? rectangleRing(points[0], cursor) : null;
+    case 'circle':
+      return cursor && circleRadiusKm > 0 ? circleRing(cursor, circleRadiusKm) : null;
+    default:
+      return null;
+  }
+}
+
+// Label next to the cursor with the draft's area
+function createAreaIcon(ring) {
+  const { km2, mi2 } = formatArea(Math.round(geodesicArea([ring])));
+  return L.divIcon({
+    className: 'draw-area-label',
+    html: `${km2} km² (${mi2} mi²)`,
+    iconSize: null,
+    iconAnchor: [-14, 10]
+  });
+}
+
+// Captures pointer input on the map for one drawing mode and previews the
+// shape with its live geodesic area. Keyed by mode, so switching modes
+// starts a fresh shape. onComplete receives { ring, mode }.
+export default function DrawingLayer({ mode, circleRadiusKm, onComplete, onCancel }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]); // [lng, lat] placed so far
+  const [cursor, setCursor] = useState(null);
+  const pointsRef = useRef([]);
+  const gestureRef = useRef({ down: null, drawing: false, lastPixel: null, lastTap: null });
+
+  useEffect(() => {
+    const container = map.getContainer();
+    const gesture = gestureRef.current;
+
+    const updatePoints = (next) => {
+      pointsRef.current = next;
+      setPoints(next);
+    };
+
+    const toLngLat = (e) => {
+      const latLng = map.mouseEventToLatLng(e);
+      return [latLng.lng, clampLatitude(latLng.lat)];
+    };
+
+    const pixelDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const toPixel = (lngLat) => map.latLngToContainerPoint([lngLat[1], lngLat[0]]);
+
+    const complete = (ring) => {
+      updatePoints([]);
+      onComplete({ ring, mode });
+    };
+
+    const finishPolygon = () => {
+      if (pointsRef.current.length >= 3) complete(densifyRing(pointsRef.current));
+    };
+
+    const isOnControl = (e) => e.target.closest?.('.leaflet-control');
+
+    const handlePointerDown = (e) => {
+      if ((e.pointerType === 'mouse' && e.button !== 0) || isOnControl(e)) return;
+      gesture.down = { x: e.clientX, y: e.clientY };
+
+      if (mode === 'freehand' || mode === 'rectangle') {
+        e.preventDefault();
+        container.setPointerCapture?.(e.pointerId);
+        gesture.drawing = true;
+        gesture.lastPixel = map.mouseEventToContainerPoint(e);
+        updatePoints([toLngLat(e)]);
+        setCursor(toLngLat(e));
+      }
+    };
+
+    const handlePointerMove = (e) => {
+      const point = toLngLat(e);
+      setCursor(point);
+
+      if (gesture.drawing && mode === 'freehand') {
+        const pixel = map.mouseEventToContainerPoint(e);
+        if (pixelDistance(pixel, gesture.lastPixel) >= FREEHAND_SPACING) {
+          gesture.lastPixel = pixel;
+          updatePoints([...pointsRef.current, point]);
+        }
+      }
+    };
+
+    const handlePointerUp = (e) => {
+      const down = gesture.down;
+      gesture.down = null;
+      if (!down) return;
+      const point = toLngLat(e);
+      // Touch screens have no hover, so the preview follows the last tap
+      setCursor(point);
+
+      if (gesture.drawing) {
+        gesture.drawing = false;
+        container.releasePointerCapture?.(e.pointerId);
+        if (mode === 'freehand' && pointsRef.current.length >= 3) {
+          complete(densifyRing(pointsRef.current));
+        } else if (mode === 'rectangle' && pixelDistance(toPixel(pointsRef.current[0]), toPixel(point)) > CLICK_TOLERANCE) {
+          complete(rectangleRing(pointsRef.current[0], point));
+        } else {
+          updatePoints([]);
+        }
+        return;
+      }
+
+      // In click modes, a pointer that moved was panning the map
+      if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_TOLERANCE) return;
+
+      if (mode === 'circle') {
+        if (circleRadiusKm > 0) complete(circleRing(point, circleRadiusKm));
+        return;
+      }
+
+      if (mode === 'polygon') {
+        const vertices = pointsRef.current;
+        const pixel = toPixel(point);
+        const now = Date.now();
+        const lastTap = gesture.lastTap;
+        gesture.lastTap = { time: now, pixel };
+
+        // Double-click, or click on the first vertex, closes the shape
+        const isDoubleTap = lastTap && now - lastTap.time < DOUBLE_TAP_MS
+          && pixelDistance(pixel, lastTap.pixel) < CLOSE_DISTANCE;
+        const isOnFirstVertex = vertices.length >= 3
+          && pixelDistance(pixel, toPixel(vertices[0])) < CLOSE_DISTANCE;
+        if (isDoubleTap || isOnFirstVertex) {
+          finishPolygon();
+          return;
+        }
+        updatePoints([...vertices, point]);
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      if (e.key === 'Escape') {
+        if (pointsRef.current.length > 0) updatePoints([]);
+        else onCancel();
+      } else if (e.key === 'Enter' && mode === 'polygon') {
+        finishPolygon();
+      } else if (e.key === 'Backspace' && mode === 'polygon' && pointsRef.current.length > 0) {
+        e.preventDefault();
+        updatePoints(pointsRef.current.slice(0, -1));
+      }
+    };
+
+    const handlePointerLeave = () => {
+      if (!gesture.drawing) setCursor(null);
+    };
+
+    // Freehand and rectangles are dragged out, so the map can't pan meanwhile.
+    // Double-click finishes polygons instead of zooming.
+    const stopsDragging = mode === 'freehand' || mode === 'rectangle';
+    if (stopsDragging) map.dragging.disable();
+    map.doubleClickZoom.disable();
+    container.classList.add('drawing');
+
+    container.addEventListener('pointerdown', handlePointerDown);
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerup', handlePointerUp);
+    container.addEventListener('pointerleave', handlePointerLeave);
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      if (stopsDragging) map.dragging.enable();
+      map.doubleClickZoom.enable();
+      container.classList.remove('drawing');
+      container.removeEventListener('pointerdown', handlePointerDown);
+      container.removeEventListener('pointermove', handlePointerMove);
+      container.removeEventListener('pointerup', handlePointerUp);
+      container.removeEventListener('pointerleave', handlePointerLeave);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [map, mode, circleRadiusKm, onComplete, onCancel]);
+
+  const draftRing = getDraftRing(mode, points, cursor, circleRadiusKm);
+
+  return (
+    <>
+      {draftRing && (
+        <Polygon positions={toLatLngs(draftRing)} pathOptions={DRAFT_STYLE} interactive={false} />
+      )}
+      {mode === 'polygon' && points.length > 0 && draftRing === null && (
+        <Polyline
+          positions={toLatLngs(cursor ? [...points, cursor] : points)}
+          pathOptions={DRAFT_STYLE}
+          interactive={false}
+        />
+      )}
+      {mode === 'polygon' && points.map((point, index) => (
+        <CircleMarker
+          key={index}
+          center={[point[1], point[0]]}
+          radius={index === 0 ? 6 : 4}
+          pathOptions={{ color: '#333', weight: 2, fillColor: 'white', fillOpacity: 1 }}
+          interactive={false}
+        />
+      ))}
+      {draftRing && cursor && (
+        <Marker
+          position={[cursor[1], cursor[0]]}
+          icon={createAreaIcon(draftRing)}
+          interactive={false}
+          keyboard={false}
+        />
+      )}
+    </>
+  );
+}
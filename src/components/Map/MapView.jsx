@@ -1,24 +1,36 @@
 import { useEffect, useRef, useCallback, useState } from 'react';
-import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, GeoJSON, Marker, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
-import { 
-  translateCoordinates, 
-  rotateCoordinates,
-  cloneGeometry,
-  getMercatorScaleFactor,
-  getBounds
-} from '../../utils/geoUtils';
+import { getBounds } from '../../utils/geoUtils';
+import { getPolygons } from '../../utils/sphericalGeometry.js';
+import { BASEMAP } from '../../utils/basemap';
+import { REFERENCE_DATASET } from '../../data/datasets/index.js';
+import DrawingLayer from './DrawingLayer';
 import 'leaflet/dist/leaflet.css';
 import './MapView.css';
 
+// react-leaflet's GeoJSON ignores new data, so each overlay is keyed by its
+// geometry. Every edit (drag, undo, redo, reset) produces a new geometry
+// object and so redraws the shape.
+const geometryKeys = new WeakMap();
+let nextGeometryKey = 0;
+
+function getGeometryKey(geometry) {
+  if (!geometryKeys.has(geometry)) {
+    nextGeometryKey += 1;
+    geometryKeys.set(geometry, nextGeometryKey);
+  }
+  return geometryKeys.get(geometry);
+}
+
 // Draggable overlay using CSS transforms for smooth mobile dragging
-function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode }) {
+function DraggableOverlay({ overlay, isSelected, onSelect, onTransform, onGestureStart, onGestureEnd, isEditMode }) {
   const map = useMap();
   const layerRef = useRef(null);
-  const [version, setVersion] = useState(0); // Force re-render after drag
+  const geometryKey = getGeometryKey(overlay.geometry);
   const dragStateRef = useRef({
-    active: false,
-    mode: null, // 'drag' or 'rotate'
+    mode: null, // 'drag' or 'rotate', null between gestures
+    pointers: new Map(), // pointerId -> { x, y } for pointers in the gesture
     startX: 0,
     startY: 0,
     currentX: 0,
@@ -43,101 +55,30 @@ function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode
     dashArray: isSelected && isEditMode ? '5, 5' : null
   };
 
-  // Convert pixel delta to lat/lng delta
-  const pixelToLatLng = useCallback((dx, dy) => {
-    const startPoint = map.latLngToContainerPoint([0, 0]);
+  // Find where the centroid lands after being dragged by a pixel delta
+  const pixelDeltaToCentroid = useCallback((dx, dy) => {
+    const startPoint = map.latLngToContainerPoint([overlay.centroid[1], overlay.centroid[0]]);
     const endPoint = L.point(startPoint.x + dx, startPoint.y + dy);
-    const startLatLng = map.containerPointToLatLng(startPoint);
     const endLatLng = map.containerPointToLatLng(endPoint);
-    return {
-      dLat: endLatLng.lat - startLatLng.lat,
-      dLng: endLatLng.lng - startLatLng.lng
-    };
-  }, [map]);
+    return [endLatLng.lng, endLatLng.lat];
+  }, [map, overlay.centroid]);
 
-  // Apply final geometry update for drag
+  // Apply final geometry update for drag. The shape is carried along the
+  // great circle to the drop point, so it is drawn at its true size there.
   const applyDrag = useCallback((dx, dy) => {
-    const { dLat, dLng } = pixelToLatLng(dx, dy);
-    
-    const newOffset = [
-      overlay.offset[0] + dLng,
-      overlay.offset[1] + dLat
-    ];
-
-    const newCentroidLat = overlay.originalCentroid[1] + newOffset[1];
-    const originalCentroidLat = overlay.originalCentroid[1];
-    const originalScale = getMercatorScaleFactor(originalCentroidLat);
-    const newScale = getMercatorScaleFactor(newCentroidLat);
-    const visualScaleFactor = newScale / originalScale;
-
-    let newCoords = translateCoordinates(
-      overlay.originalGeometry.coordinates,
-      newOffset[0],
-      newOffset[1]
-    );
-
-    const newCentroid = [
-      overlay.originalCentroid[0] + newOffset[0],
-      overlay.originalCentroid[1] + newOffset[1]
-    ];
-
-    if (overlay.rotation) {
-      newCoords = rotateCoordinates(
-        newCoords,
-        newCentroid[0],
-        newCentroid[1],
-        overlay.rotation
-      );
-    }
-
-    const newGeometry = cloneGeometry(overlay.originalGeometry);
-    newGeometry.coordinates = newCoords;
-
-    onUpdate(overlay.id, {
-      offset: newOffset,
-      geometry: newGeometry,
-      centroid: newCentroid,
-      rotation: overlay.rotation,
-      mercatorScale: visualScaleFactor
-    });
-    
-    // Force re-render to show new position
-    setVersion(v => v + 1);
-  }, [overlay, onUpdate, pixelToLatLng]);
+    onTransform(overlay.id, { centroid: pixelDeltaToCentroid(dx, dy) });
+  }, [overlay.id, onTransform, pixelDeltaToCentroid]);
 
   // Apply incremental rotation update (called during gesture)
   const applyRotation = useCallback((deltaAngle) => {
     if (Math.abs(deltaAngle) < 0.001) return; // Skip tiny rotations
     
-    const newRotation = (overlay.rotation || 0) + deltaAngle;
-    
-    // Rotate around the shape's current centroid
-    let newCoords = translateCoordinates(
-      overlay.originalGeometry.coordinates,
-      overlay.offset[0],
-      overlay.offset[1]
-    );
+    // Rotate about the axis through the centroid by the TOTAL rotation
+    onTransform(overlay.id, { rotation: (overlay.rotation || 0) + deltaAngle });
+  }, [overlay.id, overlay.rotation, onTransform]);
 
-    // Apply the TOTAL rotation around centroid
-    newCoords = rotateCoordinates(
-      newCoords,
-      overlay.centroid[0],
-      overlay.centroid[1],
-      newRotation
-    );
-
-    const newGeometry = cloneGeometry(overlay.originalGeometry);
-    newGeometry.coordinates = newCoords;
-
-    onUpdate(overlay.id, {
-      geometry: newGeometry,
-      rotation: newRotation
-    });
-    
-    setVersion(v => v + 1);
-  }, [overlay, onUpdate]);
-
-  // Set up all event handlers
+  // Set up all event handlers, again whenever the shape is redrawn. Pointer
+  // Events cover mouse, pen and touch alike: one pointer drags, two rotate.
   useEffect(() => {
     const layer = layerRef.current;
     if (!layer) return;
@@ -147,33 +88,37 @@ function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode
 
     const state = dragStateRef.current;
 
-    // Get touch/mouse position
-    const getPosition = (e) => {
-      if (e.touches && e.touches.length > 0) {
-        return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-      }
-      return { x: e.clientX, y: e.clientY };
+    // Angle of the line between the first two pointers
+    const getPointerAngle = () => {
+      const [p1, p2] = [...state.pointers.values()];
+      return Math.atan2(p2.y - p1.y, p2.x - p1.x);
     };
 
-    // Get angle between two touch points
-    const getTouchAngle = (t1, t2) => {
-      return Math.atan2(t2.clientY - t1.clientY, t2.clientX - t1.clientX);
+    const startRotate = () => {
+      state.mode = 'rotate';
+      state.startAngle = getPointerAngle();
+      state.lastAngle = state.startAngle;
+      // Reset drag transform
+      if (state.element) {
+        state.element.style.transform = '';
+      }
+      map.getContainer().classList.replace('dragging-overlay', 'rotating-overlay');
     };
 
     // Start drag or rotate
-    const handleStart = (e) => {
+    const handlePointerDown = (e) => {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
       const now = Date.now();
-      const isTouch = e.type === 'touchstart';
-      
-      // Handle double tap/click for edit mode toggle (only for single touch)
-      if (isTouch && e.touches.length === 1 && now - lastTapRef.current < 300) {
+
+      // Double tap or double click toggles edit mode
+      if (e.isPrimary && now - lastTapRef.current < 300) {
         e.preventDefault();
         e.stopPropagation();
         onSelect(overlay.id, true);
         lastTapRef.current = 0;
         return;
       }
-      if (isTouch && e.touches.length === 1) {
+      if (e.isPrimary) {
         lastTapRef.current = now;
       }
 
@@ -185,128 +130,124 @@ function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode
 
       e.preventDefault();
       e.stopPropagation();
+      state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
 
-      // Two-finger rotation - start immediately or switch from drag
-      if (isTouch && e.touches.length >= 2) {
-        state.active = true;
-        state.mode = 'rotate';
-        state.startAngle = getTouchAngle(e.touches[0], e.touches[1]);
-        state.lastAngle = state.startAngle;
-        state.element = element;
-        map.dragging.disable();
+      if (state.mode) {
+        if (state.pointers.size === 2) startRotate();
         return;
       }
 
-      // Single touch/click drag
-      const pos = getPosition(e);
-      state.active = true;
+      // The whole gesture becomes one undo step. Leaflet's own touch
+      // handlers would otherwise pan or pinch-zoom the map underneath.
+      onGestureStart();
+      map.dragging.disable();
+      map.touchZoom.disable();
+
       state.mode = 'drag';
-      state.startX = pos.x;
-      state.startY = pos.y;
+      state.startX = e.clientX;
+      state.startY = e.clientY;
       state.currentX = 0;
       state.currentY = 0;
       state.element = element;
+      map.getContainer().classList.add('dragging-overlay');
+    };
 
-      map.dragging.disable();
-      element.style.cursor = 'grabbing';
+    // A second finger can land beside the shape rather than on it
+    const handleExtraPointerDown = (e) => {
+      if (!state.mode || e.pointerType !== 'touch' || state.pointers.has(e.pointerId)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (state.pointers.size === 2) startRotate();
     };
 
     // During drag/rotate - use CSS transform for smooth movement
-    const handleMove = (e) => {
-      if (!state.active) return;
-      
-      e.preventDefault();
+    const handlePointerMove = (e) => {
+      if (!state.mode || !state.pointers.has(e.pointerId)) return;
 
-      // Check if we should switch from drag to rotate (second finger added)
-      if (state.mode === 'drag' && e.touches && e.touches.length >= 2) {
-        state.mode = 'rotate';
-        state.startAngle = getTouchAngle(e.touches[0], e.touches[1]);
-        state.lastAngle = state.startAngle;
-        // Reset drag transform
-        if (state.element) {
-          state.element.style.transform = '';
-        }
-      }
+      e.preventDefault();
+      state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
 
-      if (state.mode === 'rotate' && e.touches && e.touches.length >= 2) {
-        const currentAngle = getTouchAngle(e.touches[0], e.touches[1]);
+      if (state.mode === 'rotate') {
+        // Rotation needs both pointers; wait for the rest to lift
+        if (state.pointers.size < 2) return;
+        const currentAngle = getPointerAngle();
         const deltaAngle = currentAngle - state.lastAngle;
         state.lastAngle = currentAngle;
-        
+
         // Negate angle because screen Y is inverted vs geographic coordinates
         applyRotation(-deltaAngle);
-      } else if (state.mode === 'drag') {
-        const pos = getPosition(e);
-        state.currentX = pos.x - state.startX;
-        state.currentY = pos.y - state.startY;
-
-        // Apply CSS translate transform
-        if (state.element) {
-          state.element.style.transform = `translate(${state.currentX}px, ${state.currentY}px)`;
-        }
-
-        // Edge-pan: pan map when dragging near edges
-        const mapContainer = map.getContainer();
-        const rect = mapContainer.getBoundingClientRect();
-        let panX = 0, panY = 0;
-
-        if (pos.x - rect.left < EDGE_THRESHOLD) panX = -PAN_SPEED;
-        else if (rect.right - pos.x < EDGE_THRESHOLD) panX = PAN_SPEED;
-        if (pos.y - rect.top < EDGE_THRESHOLD) panY = -PAN_SPEED;
-        else if (rect.bottom - pos.y < EDGE_THRESHOLD) panY = PAN_SPEED;
-
-        if (panX !== 0 || panY !== 0) {
-          // Pan the map and adjust start position to keep shape under finger
-          map.panBy([panX, panY], { animate: false });
-          state.startX += panX;
-          state.startY += panY;
-        }
+        return;
+      }
+
+      state.currentX = e.clientX - state.startX;
+      state.currentY = e.clientY - state.startY;
+
+      // Apply CSS translate transform
+      if (state.element) {
+        state.element.style.transform = `translate(${state.currentX}px, ${state.currentY}px)`;
+      }
+
+      // Edge-pan: pan map when dragging near edges
+      const rect = map.getContainer().getBoundingClientRect();
+      let panX = 0, panY = 0;
+
+      if (e.clientX - rect.left < EDGE_THRESHOLD) panX = -PAN_SPEED;
+      else if (rect.right - e.clientX < EDGE_THRESHOLD) panX = PAN_SPEED;
+      if (e.clientY - rect.top < EDGE_THRESHOLD) panY = -PAN_SPEED;
+      else if (rect.bottom - e.clientY < EDGE_THRESHOLD) panY = PAN_SPEED;
+
+      if (panX !== 0 || panY !== 0) {
+        // Pan the map and adjust start position to keep shape under finger
+        map.panBy([panX, panY], { animate: false });
+        state.startX += panX;
+        state.startY += panY;
       }
     };
 
-    // End drag/rotate - apply actual coordinate change
-    const handleEnd = (e) => {
-      if (!state.active) return;
+    // End drag/rotate once the last pointer lifts - apply actual coordinate change
+    const handlePointerUp = (e) => {
+      if (!state.pointers.delete(e.pointerId) || state.pointers.size > 0) return;
 
       // Remove CSS transform
       if (state.element) {
         state.element.style.transform = '';
-        state.element.style.transformOrigin = '';
-        state.element.style.cursor = '';
       }
+      map.getContainer().classList.remove('dragging-overlay', 'rotating-overlay');
 
       // Apply the actual geometry change (rotation is already applied incrementally)
       if (state.mode === 'drag' && (state.currentX !== 0 || state.currentY !== 0)) {
         applyDrag(state.currentX, state.currentY);
       }
 
-      state.active = false;
       state.mode = null;
       state.element = null;
       map.dragging.enable();
+      map.touchZoom.enable();
+      onGestureEnd();
     };
 
-    // Add element-level handlers
-    element.addEventListener('mousedown', handleStart);
-    element.addEventListener('touchstart', handleStart, { passive: false });
+    // Keep a double click on the shape from also zooming the map
+    const stopDoubleClick = (e) => e.stopPropagation();
+
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('dblclick', stopDoubleClick);
 
-    // Add document-level handlers for move/end
-    document.addEventListener('mousemove', handleMove);
-    document.addEventListener('mouseup', handleEnd);
-    document.addEventListener('touchmove', handleMove, { passive: false });
-    document.addEventListener('touchend', handleEnd);
-    document.addEventListener('touchcancel', handleEnd);
+    // Document-level handlers follow the pointers off the shape
+    document.addEventListener('pointerdown', handleExtraPointerDown, true);
+    document.addEventListener('pointermove', handlePointerMove);
+    document.addEventListener('pointerup', handlePointerUp);
+    document.addEventListener('pointercancel', handlePointerUp);
 
     return () => {
-      element.removeEventListener('mousedown', handleStart);
-      element.removeEventListener('touchstart', handleStart);
-      document.removeEventListener('mousemove', handleMove);
-      document.removeEventListener('mouseup', handleEnd);
-      document.removeEventListener('touchmove', handleMove);
-      document.removeEventListener('touchend', handleEnd);
-      document.removeEventListener('touchcancel', handleEnd);
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('dblclick', stopDoubleClick);
+      document.removeEventListener('pointerdown', handleExtraPointerDown, true);
+      document.removeEventListener('pointermove', handlePointerMove);
+      document.removeEventListener('pointerup', handlePointerUp);
+      document.removeEventListener('pointercancel', handlePointerUp);
     };
-  }, [map, overlay.id, isEditMode, isSelected, onSelect, applyDrag, applyRotation]);
+  }, [map, overlay.id, geometryKey, isEditMode, isSelected, onSelect, onGestureStart, onGestureEnd, applyDrag, applyRotation]);
 
   const onEachFeature = useCallback((feature, layer) => {
     layerRef.current = layer;
@@ -318,8 +259,7 @@ function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode
     geometry: overlay.geometry
   };
 
-  // Include version to force re-render after drag/rotate ends
-  const geoKey = `${overlay.id}-${version}`;
+  const geoKey = `${overlay.id}-${geometryKey}`;
 
   return (
     <GeoJSON
@@ -327,38 +267,229 @@ function DraggableOverlay({ overlay, isSelected, onSelect, onUpdate, isEditMode
       data={geojson}
       style={style}
       onEachFeature={onEachFeature}
-    />
+    >
+      {/* Reference shapes are labeled with their size */}
+      {overlay.dataset === REFERENCE_DATASET.id && (
+        <Tooltip permanent direction="center" className="reference-label">
+          {overlay.name}
+        </Tooltip>
+      )}
+    </GeoJSON>
+  );
+}
+
+// Rotation steps when snapping is on or Shift is held
+const SNAP_STEP = Math.PI / 12; // 15°
+// Screen pixels between a shape's farthest point and its rotation handle,
+// and the closest the handle comes to the centroid
+const HANDLE_GAP = 28;
+const MIN_HANDLE_RADIUS = 48;
+// Vertices measured when placing the handle
+const RADIUS_SAMPLES = 400;
+
+const PIN_ICON = L.divIcon({ className: 'gizmo-pin', iconSize: [14, 14] });
+const HANDLE_ICON = L.divIcon({ className: 'gizmo-handle', html: '⟳', iconSize: [32, 32] });
+const STEM_STYLE = { color: '#333', weight: 1.5, dashArray: '4, 4' };
+
+// Farthest a shape reaches from a point on screen, in pixels
+function getScreenRadius(map, geometry, center) {
+  const points = getPolygons(geometry.coordinates).flat(2);
+  const stride = Math.max(1, Math.ceil(points.length / RADIUS_SAMPLES));
+  let radius = 0;
+  for (let i = 0; i < points.length; i += stride) {
+    radius = Math.max(radius, map.latLngToContainerPoint([points[i][1], points[i][0]]).distanceTo(center));
+  }
+  return radius;
+}
+
+// Transform gizmo around the overlay being edited: a pin on its centroid
+// and a handle that turns the shape about it. With snapping on, or Shift
+// held, rotation moves in 15° steps.
+function TransformGizmo({ overlay, snapRotation, onTransform, onGestureStart, onGestureEnd }) {
+  const map = useMap();
+  const handleRef = useRef(null);
+  const rotationRef = useRef(overlay.rotation || 0);
+  const gestureRef = useRef(null); // { pointerId, startAngle, startRotation }
+  // The handle sits a fixed number of pixels out, so redraw on zoom and pan
+  const [, setViewVersion] = useState(0);
+  useMapEvents({
+    zoomend: () => setViewVersion(v => v + 1),
+    moveend: () => setViewVersion(v => v + 1)
+  });
+
+  useEffect(() => {
+    rotationRef.current = overlay.rotation || 0;
+  }, [overlay.rotation]);
+
+  useEffect(() => {
+    const element = handleRef.current?.getElement();
+    if (!element) return;
+
+    // Screen angle of the pointer around the centroid
+    const getPointerAngle = (e) => {
+      const center = map.latLngToContainerPoint([overlay.centroid[1], overlay.centroid[0]]);
+      const point = map.mouseEventToContainerPoint(e);
+      return Math.atan2(point.y - center.y, point.x - center.x);
+    };
+
+    const handlePointerDown = (e) => {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      element.setPointerCapture(e.pointerId);
+      gestureRef.current = {
+        pointerId: e.pointerId,
+        startAngle: getPointerAngle(e),
+        startRotation: rotationRef.current
+      };
+      // The whole turn becomes one undo step
+      onGestureStart();
+      map.dragging.disable();
+      map.touchZoom.disable();
+      map.getContainer().classList.add('rotating-overlay');
+    };
+
+    const handlePointerMove = (e) => {
+      const gesture = gestureRef.current;
+      if (!gesture || e.pointerId !== gesture.pointerId) return;
+      e.preventDefault();
+
+      // Screen angles run clockwise, rotations counter-clockwise
+      const turned = gesture.startRotation - (getPointerAngle(e) - gesture.startAngle);
+      let rotation = Math.atan2(Math.sin(turned), Math.cos(turned));
+      if (snapRotation || e.shiftKey) {
+        rotation = Math.round(rotation / SNAP_STEP) * SNAP_STEP;
+      }
+      if (Math.abs(rotation - rotationRef.current) < 0.001) return;
+      rotationRef.current = rotation;
+      onTransform(overlay.id, { rotation });
+    };
+
+    const handlePointerUp = (e) => {
+      if (gestureRef.current?.pointerId !== e.pointerId) return;
+      gestureRef.current = null;
+      map.dragging.enable();
+      map.touchZoom.enable();
+      map.getContainer().classList.remove('rotating-overlay');
+      onGestureEnd();
+    };
+
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('pointerup', handlePointerUp);
+    element.addEventListener('pointercancel', handlePointerUp);
+
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('pointerup', handlePointerUp);
+      element.removeEventListener('pointercancel', handlePointerUp);
+    };
+  }, [map, overlay.id, overlay.centroid, snapRotation, onTransform, onGestureStart, onGestureEnd]);
+
+  const centerLatLng = [overlay.centroid[1], overlay.centroid[0]];
+  const center = map.latLngToContainerPoint(centerLatLng);
+  const size = map.getSize();
+  // Keep the handle on screen for shapes larger than the view
+  const radius = Math.max(MIN_HANDLE_RADIUS, Math.min(
+    getScreenRadius(map, overlay.geometry, center) + HANDLE_GAP,
+    Math.min(size.x, size.y) / 2 - HANDLE_GAP
+  ));
+  // Straight up at no rotation, turning with the shape
+  const angle = -Math.PI / 2 - (overlay.rotation || 0);
+  const handleLatLng = map.containerPointToLatLng([
+    center.x + radius * Math.cos(angle),
+    center.y + radius * Math.sin(angle)
+  ]);
+
+  return (
+    <>
+      <Polyline positions={[centerLatLng, handleLatLng]} pathOptions={STEM_STYLE} interactive={false} />
+      <Marker position={centerLatLng} icon={PIN_ICON} interactive={false} keyboard={false} />
+      <Marker
+        ref={handleRef}
+        position={handleLatLng}
+        icon={HANDLE_ICON}
+        keyboard={false}
+        title="Drag to rotate (hold Shift to snap to 15°)"
+      />
+    </>
   );
 }
 
 // Component to fly to newly added overlays
-function FlyToOverlay({ overlays }) {
+function FlyToOverlay({ overlays, overlayId }) {
   const map = useMap();
-  const prevCountRef = useRef(overlays.length);
+  const flownIdRef = useRef(null);
 
   useEffect(() => {
-    // Only fly when a new overlay is added (count increased)
-    if (overlays.length > prevCountRef.current) {
-      const newOverlay = overlays[overlays.length - 1];
-      const bounds = getBounds(newOverlay.geometry.coordinates);
-      
-      map.flyToBounds(
-        [[bounds.minLat, bounds.minLng], [bounds.maxLat, bounds.maxLng]],
-        { padding: [50, 50], duration: 0.5 }
-      );
+    // Only fly to overlays the user just added, not restored ones
+    if (!overlayId || overlayId === flownIdRef.current) return;
+    const newOverlay = overlays.find(o => o.id === overlayId);
+    if (!newOverlay) return;
+    flownIdRef.current = overlayId;
+
+    const bounds = getBounds(newOverlay.geometry.coordinates);
+    map.flyToBounds(
+      [[bounds.minLat, bounds.minLng], [bounds.maxLat, bounds.maxLng]],
+      { padding: [50, 50], duration: 0.5 }
+    );
+  }, [overlays, overlayId, map]);
+
+  return null;
+}
+
+// Report the map's center and zoom whenever it is panned or zoomed
+function ViewTracker({ onViewChange }) {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
     }
-    prevCountRef.current = overlays.length;
-  }, [overlays, map]);
+  });
 
   return null;
 }
 
+// Region picked in the overlap panel, drawn above the overlays
+const HIGHLIGHT_STYLE = {
+  color: '#222',
+  weight: 2,
+  dashArray: '4, 4',
+  fillColor: '#222',
+  fillOpacity: 0.35
+};
+
+const DEFAULT_VIEW = { center: [30, 0], zoom: 3 };
+
 // Main Map component
-export default function MapView({ overlays, selectedOverlayId, editModeId, onSelectOverlay, onUpdateOverlay }) {
+export default function MapView({
+  overlays,
+  selectedOverlayId,
+  editModeId,
+  flyToOverlayId,
+  initialView = DEFAULT_VIEW,
+  onSelectOverlay,
+  onTransformOverlay,
+  onGestureStart,
+  onGestureEnd,
+  onViewChange,
+  highlightGeometry,
+  highlightKey,
+  drawMode,
+  circleRadiusKm,
+  onDrawComplete,
+  onDrawCancel,
+  snapRotation = false,
+  ref
+}) {
+  const editedOverlay = overlays.find(o => o.id === editModeId && o.id === selectedOverlayId);
+
   return (
     <MapContainer
-      center={[30, 0]}
-      zoom={3}
+      ref={ref}
+      center={initialView.center}
+      zoom={initialView.zoom}
       minZoom={2}
       maxZoom={18}
       className="map-container"
@@ -368,10 +499,23 @@ export default function MapView({ overlays, selectedOverlayId, editModeId, onSel
       dragging={true}
     >
       <TileLayer
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        attribution={BASEMAP.attribution}
+        url={BASEMAP.url}
+        subdomains={BASEMAP.subdomains}
+        maxZoom={BASEMAP.maxZoom}
+        crossOrigin={true}
       />
-      <FlyToOverlay overlays={overlays} />
+      <FlyToOverlay overlays={overlays} overlayId={flyToOverlayId} />
+      {onViewChange && <ViewTracker onViewChange={onViewChange} />}
+      {drawMode && (
+        <DrawingLayer
+          key={drawMode}
+          mode={drawMode}
+          circleRadiusKm={circleRadiusKm}
+          onComplete={onDrawComplete}
+          onCancel={onDrawCancel}
+        />
+      )}
       {overlays.map(overlay => (
         <DraggableOverlay
           key={overlay.id}
@@ -379,9 +523,29 @@ export default function MapView({ overlays, selectedOverlayId, editModeId, onSel
           isSelected={overlay.id === selectedOverlayId}
           isEditMode={overlay.id === editModeId}
           onSelect={onSelectOverlay}
-          onUpdate={onUpdateOverlay}
+          onTransform={onTransformOverlay}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
         />
       ))}
+      {editedOverlay && (
+        <TransformGizmo
+          key={editedOverlay.id}
+          overlay={editedOverlay}
+          snapRotation={snapRotation}
+          onTransform={onTransformOverlay}
+          onGestureStart={onGestureStart}
+          onGestureEnd={onGestureEnd}
+        />
+      )}
+      {highlightGeometry && (
+        <GeoJSON
+          key={highlightKey}
+          data={highlightGeometry}
+          style={HIGHLIGHT_STYLE}
+          interactive={false}
+        />
+      )}
     </MapContainer>
   );
 }
@@ -1,19 +1,78 @@
-import { useState, useRef, useEffect } from 'react';
+import { Fragment, useState, useRef, useEffect } from 'react';
+import { USER_DATASET, getDataset, getChildDivisions } from '../../data/datasets/index.js';
+import { formatArea } from '../../utils/geoUtils';
+import { formatPercentDifference } from '../../utils/areaComparison';
 import './SearchBox.css';
 
-export default function SearchBox({ searchQuery, setSearchQuery, searchResults, onSelectState, isLoading }) {
+const formatKm2 = (area) => `${formatArea(Math.round(area)).km2} km²`;
+
+// Why a result matched when it wasn't by its name
+const describeMatch = (match) => (match.kind === 'alias' ? `Also known as ${match.text}` : `Code ${match.text}`);
+
+// Heading for the results of a size query. Ranges list every match, so
+// their heading carries the count.
+function describeAreaSearch(areaSearch) {
+  if (areaSearch.type === 'range') {
+    const count = areaSearch.results.length > 0 ? ` (${areaSearch.results.length})` : '';
+    if (areaSearch.min === null) return `Under ${formatKm2(areaSearch.max)}${count}`;
+    if (areaSearch.max === null) return `Over ${formatKm2(areaSearch.min)}${count}`;
+    return `Between ${formatKm2(areaSearch.min)} and ${formatKm2(areaSearch.max)}${count}`;
+  }
+  if (areaSearch.target) {
+    return `Closest in area to ${areaSearch.target.properties.name} (${formatKm2(areaSearch.area)})`;
+  }
+  if (areaSearch.area === null) return `No region named “${areaSearch.targetText}”`;
+  return `Closest in area to ${formatKm2(areaSearch.area)}`;
+}
+
+export default function SearchBox({
+  searchQuery,
+  setSearchQuery,
+  searchResults,
+  searchGroups = [],
+  areaSearch = null,
+  searchableDatasets = [],
+  countryFilter = [],
+  setCountryFilter,
+  importedFeatures = [],
+  onSelectState,
+  onExpandState,
+  childStatus = {},
+  onRemoveImported,
+  isLoading
+}) {
+  // Typing or focusing the input opens the dropdown; picking a result or
+  // Escape closes it. It only shows while there is something to list.
   const [isOpen, setIsOpen] = useState(false);
+  // With an empty query the dropdown lists the user's own shapes
+  const showImports = !searchQuery && importedFeatures.length > 0;
+  const items = showImports ? importedFeatures : searchResults;
   const [highlightedIndex, setHighlightedIndex] = useState(0);
   const inputRef = useRef(null);
   const listRef = useRef(null);
 
-  useEffect(() => {
-    setIsOpen(searchResults.length > 0 && searchQuery.length > 0);
+  // Where each country's results start in the flat list, for group titles
+  const groupStarts = new Map();
+  if (!showImports && !areaSearch) {
+    let start = 0;
+    searchGroups.forEach(group => {
+      groupStarts.set(start, group);
+      start += group.results.length;
+    });
+  }
+
+  const toggleCountry = (id) => {
+    setCountryFilter(countryFilter.includes(id)
+      ? countryFilter.filter(c => c !== id)
+      : [...countryFilter, id]);
     setHighlightedIndex(0);
-  }, [searchResults, searchQuery]);
+    inputRef.current?.focus();
+  };
 
   const handleInputChange = (e) => {
     setSearchQuery(e.target.value);
+    setIsOpen(true);
+    setHighlightedIndex(0);
   };
 
   const handleSelectState = (state) => {
@@ -23,6 +82,13 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
     inputRef.current?.focus();
   };
 
+  // Drill into a region's second-level divisions, keeping the dropdown open
+  const handleExpandState = (state) => {
+    onExpandState(state);
+    setHighlightedIndex(0);
+    inputRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
     if (!isOpen) return;
 
@@ -30,7 +96,7 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
       case 'ArrowDown':
         e.preventDefault();
         setHighlightedIndex(prev => 
-          prev < searchResults.length - 1 ? prev + 1 : prev
+          prev < items.length - 1 ? prev + 1 : prev
         );
         break;
       case 'ArrowUp':
@@ -39,10 +105,20 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
         break;
       case 'Enter':
         e.preventDefault();
-        if (searchResults[highlightedIndex]) {
-          handleSelectState(searchResults[highlightedIndex]);
+        if (items[highlightedIndex]) {
+          handleSelectState(items[highlightedIndex]);
         }
         break;
+      case 'ArrowRight': {
+        // Expands the highlighted region once the caret is at the end
+        const state = items[highlightedIndex];
+        const atEnd = e.target.selectionStart === searchQuery.length;
+        if (atEnd && onExpandState && state && getChildDivisions(state.properties)) {
+          e.preventDefault();
+          handleExpandState(state);
+        }
+        break;
+      }
       case 'Escape':
         setIsOpen(false);
         break;
@@ -52,7 +128,7 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
   // Scroll highlighted item into view
   useEffect(() => {
     if (listRef.current && isOpen) {
-      const highlightedItem = listRef.current.children[highlightedIndex];
+      const highlightedItem = listRef.current.querySelectorAll('.search-result-item')[highlightedIndex];
       if (highlightedItem) {
         highlightedItem.scrollIntoView({ block: 'nearest' });
       }
@@ -74,7 +150,7 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
           value={searchQuery}
           onChange={handleInputChange}
           onKeyDown={handleKeyDown}
-          onFocus={() => searchResults.length > 0 && setIsOpen(true)}
+          onFocus={() => items.length > 0 && setIsOpen(true)}
           disabled={isLoading}
         />
         {searchQuery && (
@@ -82,6 +158,7 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
             className="clear-button"
             onClick={() => {
               setSearchQuery('');
+              setHighlightedIndex(0);
               inputRef.current?.focus();
             }}
           >
@@ -90,22 +167,114 @@ export default function SearchBox({ searchQuery, setSearchQuery, searchResults,
         )}
       </div>
       
-      {isOpen && (
-        <ul ref={listRef} className="search-results">
-          {searchResults.map((state, index) => (
-            <li
-              key={`${state.properties.code}-${state.properties.country}`}
-              className={`search-result-item ${index === highlightedIndex ? 'highlighted' : ''}`}
-              onClick={() => handleSelectState(state)}
-              onMouseEnter={() => setHighlightedIndex(index)}
+      {setCountryFilter && searchableDatasets.length > 1 && (
+        <div className="country-chips" role="group" aria-label="Search in">
+          <button
+            className={`country-chip ${countryFilter.length === 0 ? 'active' : ''}`}
+            aria-pressed={countryFilter.length === 0}
+            onClick={() => {
+              setCountryFilter([]);
+              setHighlightedIndex(0);
+            }}
+          >
+            All
+          </button>
+          {searchableDatasets.map(dataset => (
+            <button
+              key={dataset.id}
+              className={`country-chip ${countryFilter.includes(dataset.id) ? 'active' : ''}`}
+              aria-pressed={countryFilter.includes(dataset.id)}
+              onClick={() => toggleCountry(dataset.id)}
             >
-              <span className="state-name">{state.properties.name}</span>
-              <span className={`country-badge ${state.properties.country.toLowerCase()}`}>
-                {state.properties.country === 'US' ? '🇺🇸 USA' : 
-                 state.properties.country === 'IN' ? '🇮🇳 India' : '🇵🇰 Pakistan'}
-              </span>
-            </li>
+              {dataset.flag} {dataset.label}
+            </button>
           ))}
+        </div>
+      )}
+
+      {isOpen && (items.length > 0 || areaSearch) && (
+        <ul ref={listRef} className="search-results">
+          {areaSearch && !showImports && (
+            <li className="search-section-title">
+              {describeAreaSearch(areaSearch)}
+              {items.length === 0 && ' · no matches'}
+            </li>
+          )}
+          {showImports && (
+            <li className="search-section-title">
+              {USER_DATASET.flag} {USER_DATASET.label} ({importedFeatures.length})
+            </li>
+          )}
+          {items.map((state, index) => {
+            const dataset = getDataset(state.properties.dataset);
+            const isImported = state.properties.dataset === USER_DATASET.id;
+            const children = onExpandState ? getChildDivisions(state.properties) : null;
+            const group = groupStarts.get(index);
+            return (
+              <Fragment key={state.properties.code}>
+                {group && (
+                  <li className="search-section-title">
+                    {group.dataset?.flag} {group.parent
+                      ? `${group.parent.name} · ${group.dataset?.children?.label}`
+                      : group.dataset?.label}
+                    {group.total > group.results.length
+                      ? ` · first ${group.results.length} of ${group.total}`
+                      : ` (${group.total})`}
+                  </li>
+                )}
+                <li
+                  className={`search-result-item ${index === highlightedIndex ? 'highlighted' : ''}`}
+                  onClick={() => handleSelectState(state)}
+                  onMouseEnter={() => setHighlightedIndex(index)}
+                >
+                  <span className="state-name">
+                    {state.properties.name}
+                    {areaSearch && !showImports && (
+                      <span className="state-detail">
+                        {formatKm2(state.properties.area_km2)}
+                        {state.areaDifference !== undefined && ` · ${formatPercentDifference(state.areaDifference)}`}
+                      </span>
+                    )}
+                    {state.match && !areaSearch && (
+                      <span className="state-detail">{describeMatch(state.match)}</span>
+                    )}
+                  </span>
+                  {children && (
+                    <button
+                      className="expand-button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleExpandState(state);
+                      }}
+                      disabled={childStatus[state.properties.code]?.status === 'loading'}
+                      title={`Show the ${children.label.toLowerCase()} of ${state.properties.name} (→)`}
+                      aria-label={`Show the ${children.label.toLowerCase()} of ${state.properties.name}`}
+                    >
+                      {childStatus[state.properties.code]?.status === 'loading' ? 'Loading…' : `▸ ${children.label}`}
+                    </button>
+                  )}
+                  {dataset && (
+                    <span className="country-badge" style={dataset.badge}>
+                      {dataset.flag} {dataset.label}
+                    </span>
+                  )}
+                  {isImported && onRemoveImported && (
+                    <button
+                      className="remove-import-button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onRemoveImported(state.properties.code);
+                      }}
+                      title={`Delete ${state.properties.name} from ${USER_DATASET.label}`}
+                      aria-label={`Delete ${state.properties.name} from ${USER_DATASET.label}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </li>
+              </Fragment>
+            );
+          })}
         </ul>
       )}
     </div>
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import './CopyLinkButton.css';
+
+// How long the "Copied" confirmation stays visible
+const CONFIRMATION_MS = 2000;
+
+export default function CopyLinkButton({ url }) {
+  const [status, setStatus] = useState(null); // null | 'copied' | 'failed'
+
+  useEffect(() => {
+    if (!status) return;
+    const timer = setTimeout(() => setStatus(null), CONFIRMATION_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus('copied');
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <button
+      className={`copy-link-button ${status || ''}`}
+      onClick={handleCopy}
+      title="Copy a link to this comparison"
+    >
+      {status === 'copied' ? '✓ Copied' : status === 'failed' ? 'Copy failed' : '🔗 Copy link'}
+    </button>
+  );
+}
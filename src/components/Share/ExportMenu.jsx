@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import { exportMapAsPng, exportOverlaysAsSvg, getExportSize, downloadBlob } from '../../utils/mapExport';
+import { overlaysToGeoJSON, overlaysToKml } from '../../utils/overlayIO';
+import './ExportMenu.css';
+
+// PNG sizes offered, as multiples of the map's on-screen size
+const SCALES = [1, 2, 3];
+
+const exportFilename = (extension) =>
+  `true-size-comparison-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+export default function ExportMenu({ mapRef, overlays }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mapSize, setMapSize] = useState(null);
+  const [options, setOptions] = useState({ scale: 2, labels: true, legend: true, scaleBar: true });
+  const [status, setStatus] = useState(null); // null | 'exporting' | { error } | { warning }
+  const menuRef = useRef(null);
+
+  // Close when clicking outside the menu or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('touchstart', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('touchstart', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const toggleMenu = () => {
+    if (!isOpen && mapRef.current) {
+      setMapSize(getExportSize(mapRef.current));
+      setStatus(null);
+    }
+    setIsOpen(open => !open);
+  };
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const handleExportPng = async () => {
+    const map = mapRef.current;
+    if (!map) return;
+    setStatus('exporting');
+    try {
+      const { blob, missingTiles } = await exportMapAsPng(map, overlays, options);
+      downloadBlob(blob, exportFilename('png'));
+      setStatus(missingTiles > 0
+        ? { warning: `${missingTiles} basemap tile${missingTiles === 1 ? '' : 's'} could not be loaded` }
+        : null);
+    } catch (error) {
+      console.error('Failed to export PNG:', error);
+      setStatus({ error: 'Export failed. Please try again.' });
+    }
+  };
+
+  const handleExportSvg = () => {
+    const map = mapRef.current;
+    if (!map) return;
+    const svg = exportOverlaysAsSvg(map, overlays);
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportFilename('svg'));
+    setStatus(null);
+  };
+
+  // GeoJSON and KML carry the transformed geometry for GIS tools
+  const handleExportGeoJSON = () => {
+    const geojson = JSON.stringify(overlaysToGeoJSON(overlays), null, 2);
+    downloadBlob(new Blob([geojson], { type: 'application/geo+json' }), exportFilename('geojson'));
+    setStatus(null);
+  };
+
+  const handleExportKml = () => {
+    const kml = overlaysToKml(overlays);
+    downloadBlob(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }), exportFilename('kml'));
+    setStatus(null);
+  };
+
+  const isExporting = status === 'exporting';
+  const hasOverlays = overlays.length > 0;
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        className={`export-button ${isOpen ? 'open' : ''}`}
+        onClick={toggleMenu}
+        aria-expanded={isOpen}
+        title="Export the map as an image"
+      >
+        ⬇ Export
+      </button>
+
+      {isOpen && (
+        <div className="export-panel">
+          <label className="export-field">
+            <span>PNG size</span>
+            <select
+              value={options.scale}
+              onChange={(e) => setOption('scale', Number(e.target.value))}
+            >
+              {SCALES.map(scale => (
+                <option key={scale} value={scale}>
+                  {scale}×{mapSize && ` (${mapSize.width * scale} × ${mapSize.height * scale})`}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="export-checkbox">
+            <input
+              type="checkbox"
+              checked={options.labels}
+              onChange={(e) => setOption('labels', e.target.checked)}
+            />
+            Labels
+          </label>
+          <label className="export-checkbox">
+            <input
+              type="checkbox"
+              checked={options.legend}
+              onChange={(e) => setOption('legend', e.target.checked)}
+            />
+            Legend
+          </label>
+          <label className="export-checkbox">
+            <input
+              type="checkbox"
+              checked={options.scaleBar}
+              onChange={(e) => setOption('scaleBar', e.target.checked)}
+            />
+            Scale bar
+          </label>
+
+          <div className="export-actions">
+            <button className="export-action" onClick={handleExportPng} disabled={isExporting}>
+              {isExporting ? 'Rendering…' : 'Download PNG'}
+            </button>
+            <button
+              className="export-action secondary"
+              onClick={handleExportSvg}
+              disabled={isExporting || !hasOverlays}
+              title="Overlays only, as vector shapes"
+            >
+              Download SVG
+            </button>
+          </div>
+
+          <div className="export-section-title">Map data</div>
+          <div className="export-actions row">
+            <button
+              className="export-action secondary"
+              onClick={handleExportGeoJSON}
+              disabled={!hasOverlays}
+              title="Moved shapes with their transforms, for QGIS or re-import"
+            >
+              GeoJSON
+            </button>
+            <button
+              className="export-action secondary"
+              onClick={handleExportKml}
+              disabled={!hasOverlays}
+              title="Moved shapes for Google Earth"
+            >
+              KML
+            </button>
+          </div>
+
+          {status?.warning && <p className="export-message warning">{status.warning}</p>}
+          {status?.error && <p className="export-message error">{status.error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
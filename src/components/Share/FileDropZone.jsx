@@ -0,0 +1,56 @@
+import { useState, useRef } from 'react';
+import './FileDropZone.css';
+
+const hasFiles = (e) => [...e.dataTransfer.types].includes('Files');
+
+// Accepts files dropped anywhere on its children (the map and sidebar)
+export default function FileDropZone({ className = '', onDropFiles, children }) {
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child, so count the nesting depth
+  const depthRef = useRef(0);
+
+  const handleDragEnter = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!hasFiles(e)) return;
+    depthRef.current = Math.max(0, depthRef.current - 1);
+    if (depthRef.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depthRef.current = 0;
+    setIsDragging(false);
+    const files = [...e.dataTransfer.files];
+    if (files.length > 0) onDropFiles(files);
+  };
+
+  return (
+    <div
+      className={`file-drop-zone ${className} ${isDragging ? 'dragging' : ''}`}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {children}
+      {isDragging && (
+        <div className="drop-hint">
+          <span>Drop GeoJSON, TopoJSON, KML or a zipped Shapefile to import</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import { IMPORT_ACCEPT } from '../../data/fileImport';
+import { USER_DATASET } from '../../data/datasets/index.js';
+import './ImportButton.css';
+
+// How long the import result stays visible
+const MESSAGE_MS = 5000;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function describeResult(result) {
+  switch (result.kind) {
+    case 'overlays':
+      return result.missing.length > 0
+        ? `Restored ${plural(result.imported, 'overlay')} • ${result.missing.map(m => m.code).join(', ')} not found`
+        : `Restored ${plural(result.imported, 'overlay')}`;
+    case 'features':
+      return result.added === result.imported
+        ? `Imported ${plural(result.imported, 'shape')} from ${result.fileName}`
+        : `Imported ${plural(result.imported, 'shape')} from ${result.fileName} • find them under ${USER_DATASET.label} in search`;
+    default:
+      return result.error;
+  }
+}
+
+function getTone(results) {
+  if (results.some(r => r.kind === 'error')) return 'error';
+  if (results.some(r => r.kind === 'overlays' && r.missing.length > 0)) return 'warning';
+  return 'success';
+}
+
+// Opens a file picker for boundary files and overlay exports, and shows the
+// outcome of the last import (picked or dropped)
+export default function ImportButton({ onImport, results, onDismiss }) {
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!results) return;
+    const timer = setTimeout(onDismiss, MESSAGE_MS);
+    return () => clearTimeout(timer);
+  }, [results, onDismiss]);
+
+  const handleChange = (e) => {
+    const files = [...e.target.files];
+    // Clear the input so the same file can be imported again
+    e.target.value = '';
+    if (files.length > 0) onImport(files);
+  };
+
+  return (
+    <div className="import-button-wrapper">
+      <button
+        className="import-button"
+        onClick={() => inputRef.current?.click()}
+        title="Import GeoJSON, TopoJSON, KML or a zipped Shapefile (or drop files on the map)"
+      >
+        ⬆ Import
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        multiple
+        className="import-file-input"
+        onChange={handleChange}
+      />
+      {results && results.length > 0 && (
+        <div className={`import-message ${getTone(results)}`} role="status">
+          {results.map((result, index) => (
+            <p key={index}>{describeResult(result)}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState, useMemo } from 'react';
+import { DATASETS, USER_DATASET, getDataset } from '../../data/datasets/index.js';
+import { formatArea } from '../../utils/geoUtils';
+import './BrowsePanel.css';
+
+const SIZE_FILTERS = [
+  { id: 'any', label: 'Any size', min: null, max: null },
+  { id: 'small', label: 'Under 10,000 km²', min: null, max: 1e4 },
+  { id: 'medium', label: '10,000–100,000 km²', min: 1e4, max: 1e5 },
+  { id: 'large', label: '100,000–500,000 km²', min: 1e5, max: 5e5 },
+  { id: 'huge', label: 'Over 500,000 km²', min: 5e5, max: null }
+];
+
+const SORTS = {
+  name: (a, b) => a.properties.name.localeCompare(b.properties.name),
+  'area-desc': (a, b) => b.properties.area_km2 - a.properties.area_km2,
+  'area-asc': (a, b) => a.properties.area_km2 - b.properties.area_km2
+};
+
+// Rows are windowed: only those in view (plus a margin) are rendered, so
+// the list stays smooth with every loaded region in it. The row height
+// must match .browse-row in BrowsePanel.css.
+const ROW_HEIGHT = 34;
+const VIEWPORT_HEIGHT = 320;
+const OVERSCAN = 6;
+
+// Groups in registry order, with the user's own shapes last. A region's
+// second-level divisions follow its country, in a group of their own.
+const GROUP_ORDER = [...DATASETS, USER_DATASET].map(d => d.id);
+
+const compareGroups = (a, b) =>
+  GROUP_ORDER.indexOf(a.dataset.id) - GROUP_ORDER.indexOf(b.dataset.id)
+  || Boolean(a.parent) - Boolean(b.parent)
+  || (a.parent?.name ?? '').localeCompare(b.parent?.name ?? '');
+
+// A catalog of every loaded region grouped by country, with sorting,
+// filters and multi-select for adding many regions at once, or merging
+// them into one shape
+export default function BrowsePanel({ allStates, overlays, onAddStates, onMergeStates }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sort, setSort] = useState('name');
+  const [countryFilter, setCountryFilter] = useState('all');
+  const [sizeFilter, setSizeFilter] = useState('any');
+  const [collapsed, setCollapsed] = useState({}); // group key -> true
+  const [selected, setSelected] = useState(() => new Set()); // feature codes
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const groups = useMemo(() => {
+    const size = SIZE_FILTERS.find(f => f.id === sizeFilter);
+    const byGroup = new Map();
+    allStates.forEach(state => {
+      const { dataset, parent = null, area_km2: area } = state.properties;
+      if (!GROUP_ORDER.includes(dataset)) return;
+      if (countryFilter !== 'all' && dataset !== countryFilter) return;
+      if (size.min !== null && area < size.min) return;
+      if (size.max !== null && area >= size.max) return;
+      const key = parent ? parent.code : dataset;
+      if (!byGroup.has(key)) byGroup.set(key, { key, dataset: getDataset(dataset), parent, features: [] });
+      byGroup.get(key).features.push(state);
+    });
+    return [...byGroup.values()]
+      .map(group => ({ ...group, features: group.features.sort(SORTS[sort]) }))
+      .sort(compareGroups);
+  }, [allStates, countryFilter, sizeFilter, sort]);
+
+  // Flatten groups into header and item rows for the windowed list
+  const rows = useMemo(() => groups.flatMap(group => [
+    { type: 'group', group },
+    ...(collapsed[group.key] ? [] : group.features.map(feature => ({ type: 'item', feature })))
+  ]), [groups, collapsed]);
+
+  const loadedDatasets = useMemo(() => {
+    const ids = new Set(allStates.map(state => state.properties.dataset));
+    return GROUP_ORDER.filter(id => ids.has(id)).map(getDataset);
+  }, [allStates]);
+
+  const onMap = useMemo(() => new Set(overlays.map(o => o.code)), [overlays]);
+
+  if (allStates.length === 0) return null;
+
+  const toggleSelected = (codes, select) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      codes.forEach(code => (select ? next.add(code) : next.delete(code)));
+      return next;
+    });
+  };
+
+  const handleAddSelected = () => {
+    onAddStates(allStates.filter(state => selected.has(state.properties.code)));
+    setSelected(new Set());
+  };
+
+  const handleMergeSelected = () => {
+    const merged = onMergeStates(allStates.filter(state => selected.has(state.properties.code)));
+    if (merged) setSelected(new Set());
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const regionCount = groups.reduce((sum, group) => sum + group.features.length, 0);
+
+  const renderRow = (row, index) => {
+    const style = { top: index * ROW_HEIGHT, height: ROW_HEIGHT };
+
+    if (row.type === 'group') {
+      const { key, dataset, parent, features } = row.group;
+      const label = parent ? `${parent.name} · ${dataset.children?.label}` : dataset.label;
+      const codes = features.map(f => f.properties.code);
+      const selectedCount = codes.filter(code => selected.has(code)).length;
+      const isCollapsed = Boolean(collapsed[key]);
+      return (
+        <div key={`group-${key}`} className="browse-row browse-group" style={style}>
+          <input
+            type="checkbox"
+            checked={selectedCount === codes.length}
+            ref={(el) => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < codes.length; }}
+            onChange={(e) => toggleSelected(codes, e.target.checked)}
+            aria-label={`Select all of ${label}`}
+          />
+          <button
+            className="browse-group-toggle"
+            onClick={() => setCollapsed(prev => ({ ...prev, [key]: !isCollapsed }))}
+            aria-expanded={!isCollapsed}
+          >
+            <span className="browse-chevron">{isCollapsed ? '▸' : '▾'}</span>
+            {dataset.flag} {label}
+            <span className="browse-group-count">{features.length}</span>
+          </button>
+        </div>
+      );
+    }
+
+    const { name, code, area_km2: area } = row.feature.properties;
+    return (
+      <label key={code} className="browse-row browse-item" style={style}>
+        <input
+          type="checkbox"
+          checked={selected.has(code)}
+          onChange={(e) => toggleSelected([code], e.target.checked)}
+        />
+        <span className="browse-name">
+          {name}
+          {onMap.has(code) && <span className="browse-on-map" title="Already on the map">●</span>}
+        </span>
+        <span className="browse-area">{formatArea(area).km2} km²</span>
+      </label>
+    );
+  };
+
+  return (
+    <div className="browse-panel">
+      <button className="browse-header" onClick={() => setIsOpen(open => !open)} aria-expanded={isOpen}>
+        <h3>Browse regions</h3>
+        <span className="browse-chevron">{isOpen ? '▾' : '▸'}</span>
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="browse-controls">
+            <select value={countryFilter} onChange={(e) => setCountryFilter(e.target.value)} aria-label="Country">
+              <option value="all">All countries</option>
+              {loadedDatasets.map(dataset => (
+                <option key={dataset.id} value={dataset.id}>{dataset.flag} {dataset.label}</option>
+              ))}
+            </select>
+            <select value={sizeFilter} onChange={(e) => setSizeFilter(e.target.value)} aria-label="Size">
+              {SIZE_FILTERS.map(filter => (
+                <option key={filter.id} value={filter.id}>{filter.label}</option>
+              ))}
+            </select>
+            <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort by">
+              <option value="name">Name A–Z</option>
+              <option value="area-desc">Largest first</option>
+              <option value="area-asc">Smallest first</option>
+            </select>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="browse-empty">No regions match these filters.</p>
+          ) : (
+            <div
+              className="browse-list"
+              style={{ height: Math.min(VIEWPORT_HEIGHT, rows.length * ROW_HEIGHT) }}
+              onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+            >
+              <div className="browse-list-inner" style={{ height: rows.length * ROW_HEIGHT }}>
+                {rows.slice(first, last).map((row, i) => renderRow(row, first + i))}
+              </div>
+            </div>
+          )}
+
+          <div className="browse-footer">
+            <span className="browse-count">
+              {selected.size > 0 ? `${selected.size} selected` : `${regionCount.toLocaleString()} regions`}
+            </span>
+            {selected.size > 0 && (
+              <button className="browse-button" onClick={() => setSelected(new Set())}>
+                Clear
+              </button>
+            )}
+            {onMergeStates && selected.size > 1 && (
+              <button
+                className="browse-button"
+                onClick={handleMergeSelected}
+                title="Dissolve the selected regions into one shape with their combined area"
+              >
+                Merge
+              </button>
+            )}
+            <button
+              className="browse-button primary"
+              onClick={handleAddSelected}
+              disabled={selected.size === 0}
+            >
+              Add {selected.size > 0 ? selected.size : ''} to map
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
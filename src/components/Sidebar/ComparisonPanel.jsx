@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { getDataset } from '../../data/datasets/index.js';
+import { formatArea } from '../../utils/geoUtils';
+import {
+  rankByArea, compareAreas, getPairwiseComparisons, formatRatio, formatPercentDifference
+} from '../../utils/areaComparison';
+import './ComparisonPanel.css';
+
+const withFlag = (overlay) => `${getDataset(overlay.dataset)?.flag || ''} ${overlay.name}`.trim();
+
+// Relative sizes of the current overlays: a ranked bar chart with each
+// overlay's size relative to a chosen one, and every pairwise ratio
+export default function ComparisonPanel({ overlays, selectedOverlayId }) {
+  const [view, setView] = useState('chart'); // 'chart' | 'pairs'
+  const [baseId, setBaseId] = useState(null);
+
+  if (overlays.length < 2) return null;
+
+  const ranked = rankByArea(overlays);
+  const largestArea = ranked[0].area_km2 || 1;
+  // Compare against the chosen overlay, else the selected one, else the largest
+  const base = overlays.find(o => o.id === baseId)
+    || overlays.find(o => o.id === selectedOverlayId)
+    || ranked[0];
+  const pairs = view === 'pairs' ? getPairwiseComparisons(overlays) : [];
+
+  return (
+    <div className="comparison-panel">
+      <div className="comparison-header">
+        <h3>Comparison</h3>
+        <div className="comparison-tabs" role="tablist">
+          <button
+            role="tab"
+            aria-selected={view === 'chart'}
+            className={`comparison-tab ${view === 'chart' ? 'active' : ''}`}
+            onClick={() => setView('chart')}
+          >
+            Ranking
+          </button>
+          <button
+            role="tab"
+            aria-selected={view === 'pairs'}
+            className={`comparison-tab ${view === 'pairs' ? 'active' : ''}`}
+            onClick={() => setView('pairs')}
+          >
+            Pairs
+          </button>
+        </div>
+      </div>
+
+      {view === 'chart' && (
+        <>
+          <label className="comparison-base">
+            Relative to
+            <select value={base.id} onChange={(e) => setBaseId(e.target.value)}>
+              {ranked.map(overlay => (
+                <option key={overlay.id} value={overlay.id}>{withFlag(overlay)}</option>
+              ))}
+            </select>
+          </label>
+
+          <ol className="comparison-chart">
+            {ranked.map(overlay => {
+              const comparison = compareAreas(overlay.area_km2, base.area_km2);
+              const isBase = overlay.id === base.id;
+              return (
+                <li key={overlay.id} className={`comparison-row ${isBase ? 'base' : ''}`}>
+                  <div className="comparison-row-label">
+                    <span className="comparison-name">{withFlag(overlay)}</span>
+                    <span className="comparison-value">
+                      {isBase || !comparison ? `${formatArea(overlay.area_km2).km2} km²` : formatRatio(comparison.ratio)}
+                    </span>
+                  </div>
+                  <div className="comparison-bar-track">
+                    <div
+                      className="comparison-bar"
+                      style={{
+                        width: `${Math.max(0.5, (overlay.area_km2 / largestArea) * 100)}%`,
+                        backgroundColor: overlay.color
+                      }}
+                    />
+                  </div>
+                  {!isBase && comparison && (
+                    <span className="comparison-percent">
+                      {formatPercentDifference(comparison.percent)} than {base.name}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+
+      {view === 'pairs' && (
+        <ul className="comparison-pairs">
+          {pairs.map(({ larger, smaller, ratio, percent }) => (
+            <li key={`${larger.id}|${smaller.id}`} className="comparison-pair">
+              <span>
+                <strong>{larger.name}</strong> is <strong>{formatRatio(ratio)}</strong> {smaller.name}
+              </span>
+              <span className="comparison-percent">{formatPercentDifference(percent)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { DATASETS, getDataset } from '../../data/datasets/index.js';
+import './DatasetStatus.css';
+
+// Shows which datasets are loading, loaded or failed, with a retry action
+// for failed ones. Collapses to a one-line summary once everything loads.
+// Second-level divisions being loaded, or that failed, are listed too.
+export default function DatasetStatus({ datasetStatus, onRetry, childStatus = {}, onRetryChildren }) {
+  const entries = DATASETS.map(dataset => ({
+    dataset,
+    ...datasetStatus[dataset.id]
+  }));
+  const loadedCount = entries.filter(e => e.status === 'loaded').length;
+  const allLoaded = loadedCount === entries.length;
+  const childEntries = Object.entries(childStatus).filter(([, child]) => child.status !== 'loaded');
+
+  if (allLoaded && childEntries.length === 0) {
+    return (
+      <div className="dataset-status all-loaded">
+        ✓ All {entries.length} datasets loaded
+      </div>
+    );
+  }
+
+  return (
+    <div className="dataset-status">
+      <div className="dataset-status-header">
+        {allLoaded ? `✓ All ${entries.length} datasets loaded` : `Data (${loadedCount}/${entries.length} loaded)`}
+      </div>
+      <ul className="dataset-status-list">
+        {!allLoaded && entries.map(({ dataset, status, attempt, error, count }) => (
+          <li key={dataset.id} className={`dataset-status-item ${status}`}>
+            <span className="dataset-label">{dataset.flag} {dataset.label}</span>
+            {status === 'loaded' && (
+              <span className="dataset-state">✓ {count} regions</span>
+            )}
+            {status === 'loading' && (
+              <span className="dataset-state" title={error || undefined}>
+                {attempt > 1 ? `Retrying (attempt ${attempt})…` : 'Loading…'}
+              </span>
+            )}
+            {status === 'failed' && (
+              <>
+                <span className="dataset-state" title={error}>⚠️ {error}</span>
+                <button
+                  className="dataset-retry-button"
+                  onClick={() => onRetry(dataset.id)}
+                  title={`Retry loading ${dataset.label}`}
+                >
+                  Retry
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+        {childEntries.map(([code, { name, dataset: datasetId, status, error }]) => {
+          const dataset = getDataset(datasetId);
+          const label = dataset?.children?.label ?? 'Divisions';
+          return (
+            <li key={code} className={`dataset-status-item ${status}`}>
+              <span className="dataset-label">{dataset?.flag} {name} · {label}</span>
+              {status === 'loading' && <span className="dataset-state">Loading…</span>}
+              {status === 'failed' && (
+                <>
+                  <span className="dataset-state" title={error}>⚠️ {error}</span>
+                  {onRetryChildren && (
+                    <button
+                      className="dataset-retry-button"
+                      onClick={() => onRetryChildren(code)}
+                      title={`Retry loading the ${label.toLowerCase()} of ${name}`}
+                    >
+                      Retry
+                    </button>
+                  )}
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { MAX_COPIES, MAX_FIT_COUNT } from '../../utils/tiling';
+import './HowManyFitPanel.css';
+
+const formatCount = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// "How many Rhode Islands fit inside Texas?" The area ratio is always
+// shown; packing adds copies of the small shape as temporary overlays
+export default function HowManyFitPanel({
+  overlays,
+  small,
+  large,
+  result,
+  isStale,
+  packing,
+  copyCount,
+  onChangePair,
+  onPack,
+  onClear
+}) {
+  if (overlays.length < 2 || !small || !large) return null;
+
+  const ratio = small.area_km2 > 0 ? large.area_km2 / small.area_km2 : 0;
+
+  // Copies from an earlier packing stay clearable after the pair changes
+  const clearButton = copyCount > 0 && (
+    <button className="fit-button" onClick={onClear}>
+      Clear {copyCount} {copyCount === 1 ? 'copy' : 'copies'}
+    </button>
+  );
+
+  const select = (value, onChange, label) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      {overlays.map(overlay => (
+        <option key={overlay.id} value={overlay.id}>{overlay.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fit-panel">
+      <h3>How many fit?</h3>
+
+      <div className="fit-pair">
+        <span>Copies of</span>
+        {select(small.id, (id) => onChangePair(id, id === large.id ? small.id : large.id), 'Shape to copy')}
+        <span>inside</span>
+        {select(large.id, (id) => onChangePair(id === small.id ? large.id : small.id, id), 'Shape to fill')}
+        <button
+          className="fit-swap"
+          onClick={() => onChangePair(large.id, small.id)}
+          title="Swap shapes"
+          aria-label="Swap shapes"
+        >
+          ⇅
+        </button>
+      </div>
+
+      {ratio < 1 ? (
+        <>
+          <p className="fit-message">{small.name} is larger than {large.name}, so no copies fit.</p>
+          {clearButton && <div className="fit-actions">{clearButton}</div>}
+        </>
+      ) : (
+        <>
+          <div className="fit-counts">
+            <div className="fit-count">
+              <span className="fit-count-value">{formatCount(ratio)}</span>
+              <span className="fit-count-label">by area</span>
+            </div>
+            <div className="fit-count">
+              <span className="fit-count-value">
+                {packing ? '…' : result?.fitCount != null ? result.fitCount.toLocaleString() : '–'}
+              </span>
+              <span className="fit-count-label">
+                {result?.fitCount && result.rotation ? `fit on the map, rotated ${result.rotation}°` : 'fit on the map'}
+              </span>
+            </div>
+          </div>
+
+          {result && result.fitCount === null && (
+            <p className="fit-message">Too many copies to count (more than {MAX_FIT_COUNT.toLocaleString()}).</p>
+          )}
+          {result?.copies && result.fitCount > result.copies.length && (
+            <p className="fit-message">Showing the first {MAX_COPIES} on the map.</p>
+          )}
+          {isStale && !packing && (
+            <p className="fit-message">The shapes changed since the copies were packed.</p>
+          )}
+
+          <div className="fit-actions">
+            <button className="fit-button primary" onClick={onPack} disabled={packing}>
+              {packing ? 'Packing…' : result ? 'Pack again' : 'Pack copies'}
+            </button>
+            {clearButton}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { formatArea } from '../../utils/geoUtils';
+import './OverlapPanel.css';
+
+const REGIONS = [
+  { key: 'intersection', label: 'Overlap' },
+  { key: 'union', label: 'Union' },
+  { key: 'aOnly', label: 'A only' },
+  { key: 'bOnly', label: 'B only' }
+];
+
+const formatKm2 = (area) => `${formatArea(Math.round(area)).km2} km²`;
+const formatShare = (fraction) => `${(fraction * 100).toFixed(fraction < 0.1 ? 1 : 0)}%`;
+
+// Intersection, union and differences between two overlays, with the
+// chosen region highlighted on the map
+export default function OverlapPanel({
+  overlays,
+  a,
+  b,
+  analysis,
+  highlight,
+  onChangePair,
+  onChangeHighlight
+}) {
+  if (overlays.length < 2 || !a || !b) return null;
+
+  const select = (value, onChange, label) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      {overlays.map(overlay => (
+        <option key={overlay.id} value={overlay.id}>{overlay.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="overlap-panel">
+      <h3>Overlap</h3>
+
+      <div className="overlap-pair">
+        <span className="overlap-swatch" style={{ backgroundColor: a.color }}>A</span>
+        {select(a.id, (id) => onChangePair(id, id === b.id ? a.id : b.id), 'Shape A')}
+        <span className="overlap-swatch" style={{ backgroundColor: b.color }}>B</span>
+        {select(b.id, (id) => onChangePair(id === a.id ? b.id : a.id, id), 'Shape B')}
+      </div>
+
+      {!analysis && <p className="overlap-message">Couldn't compute the overlap for these shapes.</p>}
+
+      {analysis && (
+        <>
+          {analysis.areas.intersection === 0 ? (
+            <p className="overlap-message">{a.name} and {b.name} don't overlap. Drag one onto the other.</p>
+          ) : (
+            <div className="overlap-summary">
+              <div className="overlap-stat">
+                <span className="overlap-stat-value">{formatKm2(analysis.areas.intersection)}</span>
+                <span className="overlap-stat-label">overlap</span>
+              </div>
+              <div className="overlap-stat">
+                <span className="overlap-stat-value">{formatShare(analysis.coverage.a)}</span>
+                <span className="overlap-stat-label">of {a.name} covered</span>
+              </div>
+              <div className="overlap-stat">
+                <span className="overlap-stat-value">{formatShare(analysis.coverage.b)}</span>
+                <span className="overlap-stat-label">of {b.name} covered</span>
+              </div>
+            </div>
+          )}
+
+          <table className="overlap-table">
+            <tbody>
+              <tr><th>Union</th><td>{formatKm2(analysis.areas.union)}</td></tr>
+              <tr><th>{a.name} only</th><td>{formatKm2(analysis.areas.aOnly)}</td></tr>
+              <tr><th>{b.name} only</th><td>{formatKm2(analysis.areas.bOnly)}</td></tr>
+            </tbody>
+          </table>
+
+          <div className="overlap-highlight" role="radiogroup" aria-label="Highlight on map">
+            <span>Highlight</span>
+            {REGIONS.map(region => (
+              <button
+                key={region.key}
+                role="radio"
+                aria-checked={highlight === region.key}
+                className={`overlap-highlight-button ${highlight === region.key ? 'active' : ''}`}
+                onClick={() => onChangeHighlight(highlight === region.key ? null : region.key)}
+              >
+                {region.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { formatArea } from '../../utils/geoUtils';
+import { formatArea, getAreaDiscrepancy, AREA_MISMATCH_TOLERANCE } from '../../utils/geoUtils';
+import { getDataset, getChildDivisions } from '../../data/datasets/index.js';
 import './OverlayList.css';
 
 export default function OverlayList({ 
@@ -9,11 +10,50 @@ export default function OverlayList({
   onRemoveOverlay,
   onClearAll,
   onResetOverlay,
-  onToggleEditMode
+  onToggleEditMode,
+  onFindSimilar,
+  onExpand,
+  childStatus = {},
+  onItemKeyDown,
+  onItemKeyUp,
+  onItemBlur,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo
 }) {
+  const historyButtons = (
+    <div className="history-buttons">
+      <button
+        className="history-button"
+        onClick={onUndo}
+        disabled={!canUndo}
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        ↶
+      </button>
+      <button
+        className="history-button"
+        onClick={onRedo}
+        disabled={!canRedo}
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        ↷
+      </button>
+    </div>
+  );
+
   if (overlays.length === 0) {
     return (
       <div className="overlay-list empty">
+        {(canUndo || canRedo) && (
+          <div className="overlay-list-header">
+            <h3>Active Overlays (0)</h3>
+            {historyButtons}
+          </div>
+        )}
         <p className="empty-message">
           Search and select states to compare their sizes on the map.
         </p>
@@ -28,25 +68,41 @@ export default function OverlayList({
     <div className="overlay-list">
       <div className="overlay-list-header">
         <h3>Active Overlays ({overlays.length})</h3>
-        <button className="clear-all-button" onClick={onClearAll}>
-          Clear All
-        </button>
+        <div className="overlay-list-actions">
+          {historyButtons}
+          <button className="clear-all-button" onClick={onClearAll}>
+            Clear All
+          </button>
+        </div>
       </div>
       
       <ul className="overlays">
         {overlays.map(overlay => {
           const area = formatArea(overlay.area_km2);
+          const officialArea = overlay.official_area_km2 ? formatArea(overlay.official_area_km2) : null;
+          const discrepancy = getAreaDiscrepancy(overlay.area_km2, overlay.official_area_km2);
+          const areaMismatch = discrepancy !== null && Math.abs(discrepancy) > AREA_MISMATCH_TOLERANCE;
           const scalePercent = overlay.mercatorScale ? Math.round(overlay.mercatorScale * 100) : 100;
           const scaleChanged = scalePercent !== 100;
           const rotationDeg = overlay.rotation ? Math.round((overlay.rotation * 180) / Math.PI) : 0;
           const hasTransforms = scaleChanged || rotationDeg !== 0;
           const isEditing = overlay.id === editModeId;
+          const children = onExpand ? getChildDivisions(overlay) : null;
           
           return (
             <li
               key={overlay.id}
               className={`overlay-item ${overlay.id === selectedOverlayId ? 'selected' : ''} ${isEditing ? 'editing' : ''}`}
+              tabIndex={0}
+              aria-current={overlay.id === selectedOverlayId ? 'true' : undefined}
+              aria-label={`${overlay.name}, ${area.km2} km²${isEditing ? ', editing' : ''}`}
               onClick={() => onSelectOverlay(overlay.id)}
+              onFocus={(e) => {
+                if (e.target === e.currentTarget && overlay.id !== selectedOverlayId) onSelectOverlay(overlay.id);
+              }}
+              onKeyDown={onItemKeyDown}
+              onKeyUp={onItemKeyUp}
+              onBlur={onItemBlur}
             >
               <div 
                 className="color-indicator" 
@@ -55,11 +111,22 @@ export default function OverlayList({
               <div className="overlay-info">
                 <span className="overlay-name">
                   {overlay.name}
+                  {overlay.temporary && <span className="copy-badge" title="Packed by How many fit?">copy</span>}
                   {isEditing && <span className="edit-badge">✏️</span>}
                 </span>
                 <span className="overlay-details">
-                  {overlay.country === 'US' ? '🇺🇸' : '🇮🇳'} · {area.km2} km² · {area.mi2} mi²
+                  {getDataset(overlay.dataset)?.flag} · {area.km2} km² · {area.mi2} mi²
                 </span>
+                {officialArea && (
+                  <span
+                    className={`official-area ${areaMismatch ? 'mismatch' : ''}`}
+                    title={areaMismatch
+                      ? `Computed area differs from the official figure by ${Math.round(discrepancy * 100)}%`
+                      : 'Official area'}
+                  >
+                    {areaMismatch && '⚠️ '}Official: {officialArea.km2} km²
+                  </span>
+                )}
                 <div className="transform-info">
                   {scaleChanged && (
                     <span className={`scale-indicator ${scalePercent > 100 ? 'larger' : 'smaller'}`}>
@@ -95,6 +162,33 @@ export default function OverlayList({
               >
                 ✏️
               </button>
+              {onFindSimilar && (
+                <button
+                  className="similar-button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onFindSimilar(overlay);
+                  }}
+                  title="Find regions of similar size"
+                  aria-label={`Find regions similar in size to ${overlay.name}`}
+                >
+                  ≈
+                </button>
+              )}
+              {children && (
+                <button
+                  className="expand-button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onExpand(overlay);
+                  }}
+                  disabled={childStatus[overlay.code]?.status === 'loading'}
+                  title={`Show the ${children.label.toLowerCase()} of ${overlay.name}`}
+                  aria-label={`Show the ${children.label.toLowerCase()} of ${overlay.name}`}
+                >
+                  ⊞
+                </button>
+              )}
               <button
                 className="remove-button"
                 onClick={(e) => {
@@ -112,6 +206,7 @@ export default function OverlayList({
       
       <div className="overlay-list-footer">
         <p className="tip">💡 <strong>Double-tap</strong> state on map or tap ✏️ to edit</p>
+        <p className="tip">⌨️ <strong>Enter</strong> edits the focused state: arrows move it, <strong>[ ]</strong> rotate, <strong>Delete</strong> removes</p>
       </div>
     </div>
   );
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { REFERENCE_SHAPES, formatUnit, unitsForMeasure } from '../../data/referenceShapes.js';
+import './ReferenceShapes.css';
+
+const SHAPE_ICONS = { circle: '◯', square: '▢', hexagon: '⬡' };
+const MEASURE_LABELS = { area: 'Area', radius: 'Radius', side: 'Side' };
+
+// One-click examples
+const PRESETS = [
+  { shape: 'circle', measure: 'area', value: 100000, unit: 'km2' },
+  { shape: 'square', measure: 'side', value: 300, unit: 'mi' },
+  { shape: 'circle', measure: 'radius', value: 100, unit: 'km' }
+];
+
+const presetLabel = ({ shape, measure, value, unit }) =>
+  `${value.toLocaleString()} ${formatUnit(unit)}${measure === 'area' ? '' : ` ${measure}`} ${shape}`;
+
+// Builds circles, squares and hexagons of a chosen size to compare against.
+// onAdd receives a spec ({ shape, measure, value, unit }) and returns an
+// error message if the shape can't be built.
+export default function ReferenceShapes({ onAdd }) {
+  const [shape, setShape] = useState('circle');
+  const [measure, setMeasure] = useState('area');
+  const [value, setValue] = useState('');
+  const [unit, setUnit] = useState('km2');
+  const [error, setError] = useState(null);
+
+  const measures = REFERENCE_SHAPES[shape].measures;
+
+  const changeShape = (nextShape) => {
+    setShape(nextShape);
+    if (!REFERENCE_SHAPES[nextShape].measures.includes(measure)) {
+      changeMeasure('area');
+    }
+  };
+
+  // Keep the unit if it fits the new measure (e.g. radius to side)
+  const changeMeasure = (nextMeasure) => {
+    setMeasure(nextMeasure);
+    if (!unitsForMeasure(nextMeasure).includes(unit)) {
+      setUnit(nextMeasure === 'area' ? 'km2' : 'km');
+    }
+  };
+
+  const add = (spec) => {
+    setError(onAdd(spec) || null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const number = Number(value);
+    if (!(number > 0)) {
+      setError('Enter a size greater than zero');
+      return;
+    }
+    add({ shape, measure, value: number, unit });
+  };
+
+  return (
+    <div className="reference-shapes">
+      <h3>Reference shapes</h3>
+
+      <form className="reference-form" onSubmit={handleSubmit}>
+        <div className="reference-shape-picker" role="radiogroup" aria-label="Shape">
+          {Object.entries(REFERENCE_SHAPES).map(([id, definition]) => (
+            <button
+              key={id}
+              type="button"
+              role="radio"
+              aria-checked={shape === id}
+              className={`reference-shape-button ${shape === id ? 'active' : ''}`}
+              onClick={() => changeShape(id)}
+            >
+              {SHAPE_ICONS[id]} {definition.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="reference-size">
+          <select
+            value={measure}
+            onChange={(e) => changeMeasure(e.target.value)}
+            aria-label="Measure"
+          >
+            {measures.map(m => (
+              <option key={m} value={m}>{MEASURE_LABELS[m]}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            className="reference-value-input"
+            placeholder="Size"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            aria-label="Size"
+          />
+          <select value={unit} onChange={(e) => setUnit(e.target.value)} aria-label="Unit">
+            {unitsForMeasure(measure).map(u => (
+              <option key={u} value={u}>{formatUnit(u)}</option>
+            ))}
+          </select>
+          <button type="submit" className="reference-add-button">Add</button>
+        </div>
+      </form>
+
+      {error && <p className="reference-error">{error}</p>}
+
+      <div className="reference-presets">
+        {PRESETS.map(preset => (
+          <button
+            key={presetLabel(preset)}
+            type="button"
+            className="reference-preset"
+            onClick={() => add(preset)}
+          >
+            {presetLabel(preset)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import './SavedComparisons.css';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric'
+});
+
+export default function SavedComparisons({
+  comparisons,
+  canSave,
+  onSave,
+  onLoad,
+  onRename,
+  onDuplicate,
+  onDelete
+}) {
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave(newName.trim() || `Comparison ${comparisons.length + 1}`);
+    setNewName('');
+    setMessage(null);
+  };
+
+  const handleLoad = async (comparison) => {
+    const missing = await onLoad(comparison.id);
+    setMessage(missing.length > 0
+      ? `Loaded "${comparison.name}" without ${missing.map(m => m.code).join(', ')} (not found)`
+      : null);
+  };
+
+  const startRename = (comparison) => {
+    setRenamingId(comparison.id);
+    setRenameValue(comparison.name);
+  };
+
+  const commitRename = () => {
+    if (renameValue.trim()) {
+      onRename(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  return (
+    <div className="saved-comparisons">
+      <h3>Saved comparisons ({comparisons.length})</h3>
+
+      <form className="save-comparison-form" onSubmit={handleSave}>
+        <input
+          type="text"
+          className="save-comparison-input"
+          placeholder="Name this comparison"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          disabled={!canSave}
+        />
+        <button type="submit" className="save-comparison-button" disabled={!canSave}>
+          Save
+        </button>
+      </form>
+
+      {message && <p className="saved-comparisons-message">{message}</p>}
+
+      {comparisons.length > 0 && (
+        <ul className="saved-comparison-list">
+          {comparisons.map(comparison => (
+            <li key={comparison.id} className="saved-comparison-item">
+              {renamingId === comparison.id ? (
+                <input
+                  type="text"
+                  className="rename-comparison-input"
+                  value={renameValue}
+                  autoFocus
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                />
+              ) : (
+                <button
+                  className="saved-comparison-name"
+                  onClick={() => handleLoad(comparison)}
+                  title="Load this comparison"
+                >
+                  <span className="saved-comparison-title">{comparison.name}</span>
+                  <span className="saved-comparison-meta">
+                    {comparison.state.overlays.length} overlays · {formatDate(comparison.updatedAt)}
+                  </span>
+                </button>
+              )}
+              <button
+                className="saved-comparison-action"
+                onClick={() => startRename(comparison)}
+                title="Rename"
+              >
+                ✎
+              </button>
+              <button
+                className="saved-comparison-action"
+                onClick={() => onDuplicate(comparison.id)}
+                title="Duplicate"
+              >
+                ⧉
+              </button>
+              <button
+                className="saved-comparison-action delete"
+                onClick={() => onDelete(comparison.id)}
+                title="Delete"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// Canadian provinces and territories (Code for America click_that_hood)
+export default {
+  id: 'CA',
+  country: 'CA',
+  label: 'Canada',
+  flag: '🇨🇦',
+  searchTerms: ['Canada'],
+  badge: { color: '#ad1457', background: '#fce4ec' },
+  version: 2,
+  source: {
+    url: 'https://raw.githubusercontent.com/codeforamerica/click_that_hood/master/public/data/canada.geojson',
+    format: 'geojson'
+  },
+  properties: {
+    name: ['name', 'NAME'],
+    code: null,
+    altCode: null,
+    area: null
+  },
+  // 2021 census divisions (Statistics Canada cartographic boundary file),
+  // matched to provinces by their SGC code
+  children: {
+    label: 'Census divisions',
+    source: {
+      url: 'https://www12.statcan.gc.ca/census-recensement/2021/geo/sip-pis/boundary-limites/files-fichiers/lcd_000b21a_e.zip',
+      format: 'shapefile'
+    },
+    properties: { name: 'CDNAME', code: 'CDUID' },
+    parent: { property: 'PRUID' }
+  },
+  names: {
+    'Québec': 'Quebec',
+    'Yukon Territory': 'Yukon'
+  },
+  // ISO 3166-2 codes
+  codes: {
+    'Nunavut': 'CA-NU', 'Quebec': 'CA-QC', 'Northwest Territories': 'CA-NT',
+    'British Columbia': 'CA-BC', 'Ontario': 'CA-ON', 'Alberta': 'CA-AB',
+    'Saskatchewan': 'CA-SK', 'Manitoba': 'CA-MB', 'Yukon': 'CA-YT',
+    'Newfoundland and Labrador': 'CA-NL', 'New Brunswick': 'CA-NB',
+    'Nova Scotia': 'CA-NS', 'Prince Edward Island': 'CA-PE'
+  },
+  // Standard Geographical Classification (SGC) province codes
+  altCodes: {
+    'Newfoundland and Labrador': ['10'], 'Prince Edward Island': ['11'],
+    'Nova Scotia': ['12'], 'New Brunswick': ['13'], 'Quebec': ['24'],
+    'Ontario': ['35'], 'Manitoba': ['46'], 'Saskatchewan': ['47'],
+    'Alberta': ['48'], 'British Columbia': ['59'], 'Yukon': ['60'],
+    'Northwest Territories': ['61'], 'Nunavut': ['62']
+  },
+  aliases: {
+    'Quebec': ['Québec'],
+    'Newfoundland and Labrador': ['Newfoundland', 'Labrador'],
+    'Prince Edward Island': ['PEI'],
+    'Northwest Territories': ['NWT'],
+    'Nunavut': ['ᓄᓇᕗᑦ']
+  },
+  officialAreas: {
+    'Nunavut': 2093190, 'Quebec': 1542056, 'Northwest Territories': 1346106,
+    'British Columbia': 944735, 'Ontario': 1076395, 'Alberta': 661848,
+    'Saskatchewan': 651036, 'Manitoba': 647797, 'Yukon': 482443,
+    'Newfoundland and Labrador': 405212, 'New Brunswick': 72908,
+    'Nova Scotia': 55284, 'Prince Edward Island': 5660
+  }
+};
@@ -0,0 +1,95 @@
+// Chinese provinces, autonomous regions and SARs (geojson.cn)
+export default {
+  id: 'CN',
+  country: 'CN',
+  label: 'China',
+  flag: '🇨🇳',
+  searchTerms: ['China'],
+  badge: { color: '#c62828', background: '#ffebee' },
+  version: 2,
+  source: {
+    url: 'https://geojson.cn/api/china/100000.json',
+    format: 'geojson'
+  },
+  properties: {
+    name: 'name',
+    code: null,
+    altCode: 'adcode',
+    area: null
+  },
+  // Prefecture-level divisions, one file per province named by its adcode.
+  // Names are in Chinese.
+  children: {
+    label: 'Prefectures',
+    source: {
+      url: 'https://geojson.cn/api/china/{parent}.json',
+      format: 'geojson'
+    },
+    properties: { name: 'name', code: 'adcode' },
+    parent: { urlCode: '^\\d{6}$' }
+  },
+  // Chinese -> English
+  names: {
+    '北京市': 'Beijing', '天津市': 'Tianjin', '上海市': 'Shanghai', '重庆市': 'Chongqing',
+    '河北省': 'Hebei', '山西省': 'Shanxi', '辽宁省': 'Liaoning', '吉林省': 'Jilin',
+    '黑龙江省': 'Heilongjiang', '江苏省': 'Jiangsu', '浙江省': 'Zhejiang', '安徽省': 'Anhui',
+    '福建省': 'Fujian', '江西省': 'Jiangxi', '山东省': 'Shandong', '河南省': 'Henan',
+    '湖北省': 'Hubei', '湖南省': 'Hunan', '广东省': 'Guangdong', '海南省': 'Hainan',
+    '四川省': 'Sichuan', '贵州省': 'Guizhou', '云南省': 'Yunnan', '陕西省': 'Shaanxi',
+    '甘肃省': 'Gansu', '青海省': 'Qinghai', '台湾省': 'Taiwan',
+    '内蒙古自治区': 'Inner Mongolia', '广西壮族自治区': 'Guangxi', '西藏自治区': 'Tibet',
+    '宁夏回族自治区': 'Ningxia', '新疆维吾尔自治区': 'Xinjiang',
+    '香港特别行政区': 'Hong Kong', '澳门特别行政区': 'Macau'
+  },
+  // ISO 3166-2 codes
+  codes: {
+    'Beijing': 'CN-BJ', 'Tianjin': 'CN-TJ', 'Shanghai': 'CN-SH', 'Chongqing': 'CN-CQ',
+    'Hebei': 'CN-HE', 'Shanxi': 'CN-SX', 'Liaoning': 'CN-LN', 'Jilin': 'CN-JL',
+    'Heilongjiang': 'CN-HL', 'Jiangsu': 'CN-JS', 'Zhejiang': 'CN-ZJ', 'Anhui': 'CN-AH',
+    'Fujian': 'CN-FJ', 'Jiangxi': 'CN-JX', 'Shandong': 'CN-SD', 'Henan': 'CN-HA',
+    'Hubei': 'CN-HB', 'Hunan': 'CN-HN', 'Guangdong': 'CN-GD', 'Hainan': 'CN-HI',
+    'Sichuan': 'CN-SC', 'Guizhou': 'CN-GZ', 'Yunnan': 'CN-YN', 'Shaanxi': 'CN-SN',
+    'Gansu': 'CN-GS', 'Qinghai': 'CN-QH', 'Taiwan': 'CN-TW',
+    'Inner Mongolia': 'CN-NM', 'Guangxi': 'CN-GX', 'Tibet': 'CN-XZ',
+    'Ningxia': 'CN-NX', 'Xinjiang': 'CN-XJ',
+    'Hong Kong': 'CN-HK', 'Macau': 'CN-MO'
+  },
+  // Former numeric ISO 3166-2 codes; geojson.cn adcodes are added as alternates too
+  altCodes: {
+    'Beijing': ['CN-11'], 'Tianjin': ['CN-12'], 'Hebei': ['CN-13'], 'Shanxi': ['CN-14'],
+    'Inner Mongolia': ['CN-15'], 'Liaoning': ['CN-21'], 'Jilin': ['CN-22'],
+    'Heilongjiang': ['CN-23'], 'Shanghai': ['CN-31'], 'Jiangsu': ['CN-32'],
+    'Zhejiang': ['CN-33'], 'Anhui': ['CN-34'], 'Fujian': ['CN-35'], 'Jiangxi': ['CN-36'],
+    'Shandong': ['CN-37'], 'Henan': ['CN-41'], 'Hubei': ['CN-42'], 'Hunan': ['CN-43'],
+    'Guangdong': ['CN-44'], 'Guangxi': ['CN-45'], 'Hainan': ['CN-46'],
+    'Chongqing': ['CN-50'], 'Sichuan': ['CN-51'], 'Guizhou': ['CN-52'],
+    'Yunnan': ['CN-53'], 'Tibet': ['CN-54'], 'Shaanxi': ['CN-61'], 'Gansu': ['CN-62'],
+    'Qinghai': ['CN-63'], 'Ningxia': ['CN-64'], 'Xinjiang': ['CN-65'],
+    'Taiwan': ['CN-71'], 'Hong Kong': ['CN-91'], 'Macau': ['CN-92']
+  },
+  // Older romanizations (Wade-Giles, postal) and other common names. The
+  // Chinese names in `names` are searchable too.
+  aliases: {
+    'Beijing': ['Peking', 'Peiping'], 'Chongqing': ['Chungking'],
+    'Hebei': ['Hopeh', 'Chihli'], 'Shanxi': ['Shansi'], 'Liaoning': ['Fengtien'],
+    'Jilin': ['Kirin'], 'Heilongjiang': ['Heilungkiang'], 'Jiangsu': ['Kiangsu'],
+    'Zhejiang': ['Chekiang'], 'Anhui': ['Anhwei'], 'Fujian': ['Fukien'],
+    'Jiangxi': ['Kiangsi'], 'Shandong': ['Shantung'], 'Henan': ['Honan'],
+    'Hubei': ['Hupeh'], 'Guangdong': ['Canton', 'Kwangtung'], 'Guangxi': ['Kwangsi'],
+    'Sichuan': ['Szechwan', 'Szechuan'], 'Guizhou': ['Kweichow'], 'Shaanxi': ['Shensi'],
+    'Gansu': ['Kansu'], 'Qinghai': ['Tsinghai'], 'Taiwan': ['Formosa'],
+    'Inner Mongolia': ['Nei Mongol'], 'Tibet': ['Xizang'], 'Xinjiang': ['Sinkiang'],
+    'Macau': ['Macao']
+  },
+  officialAreas: {
+    'Xinjiang': 1664900, 'Tibet': 1228400, 'Inner Mongolia': 1183000, 'Qinghai': 722300,
+    'Sichuan': 486100, 'Heilongjiang': 454800, 'Gansu': 425800, 'Yunnan': 394100,
+    'Guangxi': 237600, 'Hunan': 211800, 'Shaanxi': 205800, 'Hebei': 188800,
+    'Jilin': 187400, 'Hubei': 185900, 'Guangdong': 179700, 'Guizhou': 176200,
+    'Henan': 167000, 'Jiangxi': 166900, 'Shandong': 157100, 'Shanxi': 156700,
+    'Liaoning': 148400, 'Anhui': 139400, 'Fujian': 123900, 'Jiangsu': 102600,
+    'Zhejiang': 101800, 'Chongqing': 82400, 'Ningxia': 66400, 'Hainan': 35354,
+    'Beijing': 16411, 'Tianjin': 11917, 'Shanghai': 6340, 'Hong Kong': 1105,
+    'Macau': 30, 'Taiwan': 36193
+  }
+};
@@ -0,0 +1,96 @@
+// Registry of boundary datasets. Each entry declares:
+//   id, country      - dataset id and the country its features belong to
+//   label, flag      - display metadata for badges and the sidebar
+//   searchTerms      - extra words that match the dataset's features in search
+//   badge            - colors for the country badge in search results
+//   version          - bumped whenever the source (or its children's source)
+//                      or its processing changes
+//   source           - { url, format: 'geojson' | 'topojson', object } where
+//                      object names the TopoJSON object holding the features
+//   properties       - source property (or list of fallbacks) for name, code
+//                      (ISO 3166-2), altCode (any other code) and area
+//   names            - translation table from source names to display names
+//   codes            - display name -> ISO 3166-2 code, for sources without one
+//   codePrefix       - optional prefix for codes that aren't unique on their
+//                      own (ISO 3166-1 country codes clash with state codes)
+//   altCodes         - display name -> alternate codes (former ISO, FIPS, ...)
+//   aliases          - display name -> other names search should find it by
+//                      (historical names, abbreviations, other spellings)
+//   officialAreas    - display name -> official area in km², for reference
+//   children         - optional second-level divisions, loaded on demand per
+//                      region: { label, source, properties: { name, code },
+//                      parent }. source may also be a zipped Shapefile
+//                      (format 'shapefile'). parent is { property, length },
+//                      the source property holding each division's region
+//                      (the feature id when null, cut to length characters),
+//                      or { urlCode } for sources with one file per region:
+//                      a pattern picking the region's alternate code that
+//                      fills {parent} in the source url. The data pipeline
+//                      vendors every region's divisions into one file.
+// Adding a country means adding a file here, listing it below and running
+// `npm run data` to vendor its boundaries into public/data.
+import us from './us.js';
+import india from './india.js';
+import pakistan from './pakistan.js';
+import china from './china.js';
+import canada from './canada.js';
+import world from './world.js';
+import user from './user.js';
+import reference from './reference.js';
+
+export const DATASETS = [us, india, pakistan, china, canada, world];
+
+// Pseudo-datasets for the user's own shapes and for generated reference shapes
+export const USER_DATASET = user;
+export const REFERENCE_DATASET = reference;
+
+const DATASETS_BY_ID = Object.fromEntries(
+  [...DATASETS, USER_DATASET, REFERENCE_DATASET].map(d => [d.id, d])
+);
+
+export function getDataset(id) {
+  return DATASETS_BY_ID[id] || null;
+}
+
+// Second-level division codes are their region's code plus their own:
+// 'US-TX/48201' is Harris County, Texas
+export const CHILD_CODE_SEPARATOR = '/';
+
+// Code of the region a second-level division belongs to, or null
+export function getParentCode(code) {
+  const index = String(code).indexOf(CHILD_CODE_SEPARATOR);
+  return index === -1 ? null : String(code).slice(0, index);
+}
+
+// The children config for a region ({ code, dataset } of a feature or an
+// overlay), or null when it can't be expanded. Divisions don't nest further.
+export function getChildDivisions({ code, dataset }) {
+  if (getParentCode(code)) return null;
+  return getDataset(dataset)?.children || null;
+}
+
+// The data pipeline writes every dataset to a single TopoJSON object
+export const VENDORED_OBJECT = 'features';
+
+// File name of a dataset's vendored, simplified TopoJSON under public/data
+export function getDatasetFile(dataset) {
+  return `${dataset.id.toLowerCase()}.v${dataset.version}.topo.json`;
+}
+
+// File name of the vendored TopoJSON holding every region's second-level
+// divisions, for datasets with children
+export function getChildrenFile(dataset) {
+  return `${dataset.id.toLowerCase()}-children.v${dataset.version}.topo.json`;
+}
+
+// Source url of a region's second-level divisions, or null when there is
+// none. Sources with one file per region fill {parent} in the url with the
+// region's alternate code matching children.parent.urlCode.
+export function getChildSourceUrl(dataset, parent) {
+  const { source, parent: parentConfig } = dataset.children;
+  if (!parentConfig.urlCode) return source.url;
+
+  const pattern = new RegExp(parentConfig.urlCode);
+  const key = (parent.properties.altCodes || []).find(code => pattern.test(code));
+  return key ? source.url.replace('{parent}', key) : null;
+}
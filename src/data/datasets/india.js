@@ -0,0 +1,82 @@
+// Indian states and union territories (GADM boundaries via geohacker/india)
+export default {
+  id: 'IN',
+  country: 'IN',
+  label: 'India',
+  flag: '🇮🇳',
+  searchTerms: ['India'],
+  badge: { color: '#e65100', background: '#fff3e0' },
+  version: 2,
+  source: {
+    url: 'https://raw.githubusercontent.com/geohacker/india/master/state/india_state.geojson',
+    format: 'geojson'
+  },
+  properties: {
+    name: ['NAME_1', 'name', 'NAME'],
+    code: null,
+    altCode: null,
+    area: null
+  },
+  // GADM districts, matched to states by name
+  children: {
+    label: 'Districts',
+    source: {
+      url: 'https://raw.githubusercontent.com/geohacker/india/master/district/india_district.geojson',
+      format: 'geojson'
+    },
+    properties: { name: 'NAME_2', code: 'ID_2' },
+    parent: { property: 'NAME_1' }
+  },
+  // GADM spellings and former names -> current names
+  names: {
+    'Orissa': 'Odisha',
+    'Uttaranchal': 'Uttarakhand',
+    'Pondicherry': 'Puducherry',
+    'NCT of Delhi': 'Delhi',
+    'Andaman and Nicobar': 'Andaman and Nicobar Islands',
+    'Jammu & Kashmir': 'Jammu and Kashmir'
+  },
+  // ISO 3166-2 codes, including the 2023 changes (CG, OD, TS, UK)
+  codes: {
+    'Andhra Pradesh': 'IN-AP', 'Arunachal Pradesh': 'IN-AR', 'Assam': 'IN-AS',
+    'Bihar': 'IN-BR', 'Chhattisgarh': 'IN-CG', 'Goa': 'IN-GA', 'Gujarat': 'IN-GJ',
+    'Haryana': 'IN-HR', 'Himachal Pradesh': 'IN-HP', 'Jharkhand': 'IN-JH',
+    'Karnataka': 'IN-KA', 'Kerala': 'IN-KL', 'Madhya Pradesh': 'IN-MP',
+    'Maharashtra': 'IN-MH', 'Manipur': 'IN-MN', 'Meghalaya': 'IN-ML',
+    'Mizoram': 'IN-MZ', 'Nagaland': 'IN-NL', 'Odisha': 'IN-OD', 'Punjab': 'IN-PB',
+    'Rajasthan': 'IN-RJ', 'Sikkim': 'IN-SK', 'Tamil Nadu': 'IN-TN',
+    'Telangana': 'IN-TS', 'Tripura': 'IN-TR', 'Uttar Pradesh': 'IN-UP',
+    'Uttarakhand': 'IN-UK', 'West Bengal': 'IN-WB',
+    'Andaman and Nicobar Islands': 'IN-AN', 'Chandigarh': 'IN-CH',
+    'Dadra and Nagar Haveli and Daman and Diu': 'IN-DH',
+    'Dadra and Nagar Haveli': 'IN-DN', 'Daman and Diu': 'IN-DD',
+    'Delhi': 'IN-DL', 'Jammu and Kashmir': 'IN-JK', 'Ladakh': 'IN-LA',
+    'Lakshadweep': 'IN-LD', 'Puducherry': 'IN-PY'
+  },
+  // Codes replaced in 2023
+  altCodes: {
+    'Chhattisgarh': ['IN-CT'], 'Odisha': ['IN-OR'],
+    'Telangana': ['IN-TG'], 'Uttarakhand': ['IN-UT']
+  },
+  // Former states and abbreviations. Bombay State was split into
+  // Maharashtra and Gujarat, so both answer to it.
+  aliases: {
+    'Maharashtra': ['Bombay State'], 'Gujarat': ['Bombay State'],
+    'Tamil Nadu': ['Madras State'], 'Karnataka': ['Mysore State'],
+    'Kerala': ['Travancore-Cochin', 'Keralam'], 'Uttar Pradesh': ['United Provinces'],
+    'Madhya Pradesh': ['Central Provinces'], 'Nagaland': ['Naga Hills'],
+    'Mizoram': ['Lushai Hills'], 'Punjab': ['East Punjab'], 'West Bengal': ['Paschimbanga'],
+    'Jammu and Kashmir': ['J&K'], 'Delhi': ['New Delhi', 'NCT'],
+    'Andaman and Nicobar Islands': ['A&N Islands']
+  },
+  officialAreas: {
+    'Andhra Pradesh': 162975, 'Arunachal Pradesh': 83743, 'Assam': 78438, 'Bihar': 94163,
+    'Chhattisgarh': 135192, 'Goa': 3702, 'Gujarat': 196024, 'Haryana': 44212,
+    'Himachal Pradesh': 55673, 'Jharkhand': 79716, 'Karnataka': 191791, 'Kerala': 38863,
+    'Madhya Pradesh': 308252, 'Maharashtra': 307713, 'Manipur': 22327, 'Meghalaya': 22429,
+    'Mizoram': 21081, 'Nagaland': 16579, 'Odisha': 155707, 'Punjab': 50362,
+    'Rajasthan': 342239, 'Sikkim': 7096, 'Tamil Nadu': 130060, 'Telangana': 112077,
+    'Tripura': 10486, 'Uttar Pradesh': 240928, 'Uttarakhand': 53483, 'West Bengal': 88752,
+    'Delhi': 1484, 'Jammu and Kashmir': 222236, 'Ladakh': 59146
+  }
+};
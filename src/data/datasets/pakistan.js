@@ -0,0 +1,51 @@
+// Pakistani provinces and territories (GADM boundaries via PakData)
+export default {
+  id: 'PK',
+  country: 'PK',
+  label: 'Pakistan',
+  flag: '🇵🇰',
+  searchTerms: ['Pakistan'],
+  badge: { color: '#2e7d32', background: '#e8f5e9' },
+  version: 2,
+  source: {
+    url: 'https://raw.githubusercontent.com/PakData/GISData/master/PAK-GeoJSON/PAK_adm1.json',
+    format: 'geojson'
+  },
+  properties: {
+    name: ['NAME_1', 'name', 'NAME'],
+    code: null,
+    altCode: null,
+    area: null
+  },
+  // GADM spellings and former names -> current names
+  names: {
+    'Baluchistan': 'Balochistan',
+    'Sind': 'Sindh',
+    'N.W.F.P.': 'Khyber Pakhtunkhwa',
+    'North-West Frontier': 'Khyber Pakhtunkhwa',
+    'Northern Areas': 'Gilgit-Baltistan',
+    'F.C.T.': 'Islamabad Capital Territory',
+    'Islamabad': 'Islamabad Capital Territory',
+    'F.A.T.A.': 'Federally Administered Tribal Areas',
+    'Azad Jammu and Kashmir': 'Azad Kashmir'
+  },
+  // ISO 3166-2 codes (PK-TA was withdrawn when FATA merged into KP in 2018)
+  codes: {
+    'Balochistan': 'PK-BA', 'Gilgit-Baltistan': 'PK-GB',
+    'Islamabad Capital Territory': 'PK-IS', 'Azad Kashmir': 'PK-JK',
+    'Khyber Pakhtunkhwa': 'PK-KP', 'Punjab': 'PK-PB', 'Sindh': 'PK-SD',
+    'Federally Administered Tribal Areas': 'PK-TA'
+  },
+  altCodes: {},
+  aliases: {
+    'Khyber Pakhtunkhwa': ['KPK', 'NWFP', 'Pakhtunkhwa'],
+    'Azad Kashmir': ['AJK'],
+    'Federally Administered Tribal Areas': ['FATA', 'Tribal Areas'],
+    'Islamabad Capital Territory': ['ICT']
+  },
+  officialAreas: {
+    'Balochistan': 347190, 'Khyber Pakhtunkhwa': 101741, 'Punjab': 205344, 'Sindh': 140914,
+    'Islamabad Capital Territory': 906, 'Gilgit-Baltistan': 72971, 'Azad Kashmir': 13297,
+    'Federally Administered Tribal Areas': 27220
+  }
+};
@@ -0,0 +1,11 @@
+// Reference shapes (circles, squares, hexagons of a chosen size) for
+// explaining scale. They are generated from their code rather than loaded,
+// so like the user dataset this entry only carries display metadata.
+export default {
+  id: 'REF',
+  country: 'REF',
+  label: 'Reference',
+  flag: '📐',
+  searchTerms: ['reference', 'shape'],
+  badge: { color: '#5d4037', background: '#efebe9' }
+};
@@ -0,0 +1,74 @@
+// US states and the District of Columbia (US Census boundaries via us-atlas)
+export default {
+  id: 'US',
+  country: 'US',
+  label: 'USA',
+  flag: '🇺🇸',
+  searchTerms: ['USA', 'United States'],
+  badge: { color: '#1565c0', background: '#e3f2fd' },
+  version: 2,
+  source: {
+    url: 'https://cdn.jsdelivr.net/npm/us-atlas@3.0.1/states-10m.json',
+    format: 'topojson',
+    object: 'states'
+  },
+  properties: {
+    name: 'name',
+    code: null,
+    altCode: null,
+    area: null
+  },
+  // Counties and county equivalents, matched to states by the first two
+  // digits of their FIPS code
+  children: {
+    label: 'Counties',
+    source: {
+      url: 'https://cdn.jsdelivr.net/npm/us-atlas@3.0.1/counties-10m.json',
+      format: 'topojson',
+      object: 'counties'
+    },
+    properties: { name: 'name', code: null },
+    parent: { property: null, length: 2 }
+  },
+  names: {},
+  // ISO 3166-2 codes; us-atlas feature ids (FIPS codes) become alternates
+  codes: {
+    'Alabama': 'US-AL', 'Alaska': 'US-AK', 'Arizona': 'US-AZ', 'Arkansas': 'US-AR',
+    'California': 'US-CA', 'Colorado': 'US-CO', 'Connecticut': 'US-CT', 'Delaware': 'US-DE',
+    'Florida': 'US-FL', 'Georgia': 'US-GA', 'Hawaii': 'US-HI', 'Idaho': 'US-ID',
+    'Illinois': 'US-IL', 'Indiana': 'US-IN', 'Iowa': 'US-IA', 'Kansas': 'US-KS',
+    'Kentucky': 'US-KY', 'Louisiana': 'US-LA', 'Maine': 'US-ME', 'Maryland': 'US-MD',
+    'Massachusetts': 'US-MA', 'Michigan': 'US-MI', 'Minnesota': 'US-MN', 'Mississippi': 'US-MS',
+    'Missouri': 'US-MO', 'Montana': 'US-MT', 'Nebraska': 'US-NE', 'Nevada': 'US-NV',
+    'New Hampshire': 'US-NH', 'New Jersey': 'US-NJ', 'New Mexico': 'US-NM', 'New York': 'US-NY',
+    'North Carolina': 'US-NC', 'North Dakota': 'US-ND', 'Ohio': 'US-OH', 'Oklahoma': 'US-OK',
+    'Oregon': 'US-OR', 'Pennsylvania': 'US-PA', 'Rhode Island': 'US-RI', 'South Carolina': 'US-SC',
+    'South Dakota': 'US-SD', 'Tennessee': 'US-TN', 'Texas': 'US-TX', 'Utah': 'US-UT',
+    'Vermont': 'US-VT', 'Virginia': 'US-VA', 'Washington': 'US-WA', 'West Virginia': 'US-WV',
+    'Wisconsin': 'US-WI', 'Wyoming': 'US-WY', 'District of Columbia': 'US-DC'
+  },
+  altCodes: {},
+  aliases: {
+    'District of Columbia': ['Washington DC', 'Washington D.C.'],
+    'Washington': ['Washington State'],
+    'New York': ['New York State'],
+    'Hawaii': ['Hawaiʻi'],
+    'Massachusetts': ['Mass.'],
+    'California': ['Calif.']
+  },
+  officialAreas: {
+    'Alabama': 135767, 'Alaska': 1723337, 'Arizona': 295234, 'Arkansas': 137732,
+    'California': 423967, 'Colorado': 269601, 'Connecticut': 14357, 'Delaware': 6446,
+    'Florida': 170312, 'Georgia': 153910, 'Hawaii': 28313, 'Idaho': 216443,
+    'Illinois': 149995, 'Indiana': 94326, 'Iowa': 145746, 'Kansas': 213100,
+    'Kentucky': 104656, 'Louisiana': 135659, 'Maine': 91633, 'Maryland': 32131,
+    'Massachusetts': 27336, 'Michigan': 250487, 'Minnesota': 225163, 'Mississippi': 125438,
+    'Missouri': 180540, 'Montana': 380831, 'Nebraska': 200330, 'Nevada': 286380,
+    'New Hampshire': 24214, 'New Jersey': 22591, 'New Mexico': 314917, 'New York': 141297,
+    'North Carolina': 139391, 'North Dakota': 183108, 'Ohio': 116098, 'Oklahoma': 181037,
+    'Oregon': 254799, 'Pennsylvania': 119280, 'Rhode Island': 4001, 'South Carolina': 82933,
+    'South Dakota': 199729, 'Tennessee': 109153, 'Texas': 695662, 'Utah': 219882,
+    'Vermont': 24906, 'Virginia': 110787, 'Washington': 184661, 'West Virginia': 62756,
+    'Wisconsin': 169635, 'Wyoming': 253335, 'District of Columbia': 177
+  }
+};
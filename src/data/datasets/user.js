@@ -0,0 +1,12 @@
+// Shapes the user imported from their own files (parks, territories, city
+// boundaries, ...) or drew on the map. They are stored in the browser rather
+// than loaded from a source, so this entry only carries display metadata and
+// isn't in DATASETS.
+export default {
+  id: 'USER',
+  country: 'USER',
+  label: 'My shapes',
+  flag: '📁',
+  searchTerms: ['imported', 'drawn', 'my shapes'],
+  badge: { color: '#6a1b9a', background: '#f3e5f5' }
+};
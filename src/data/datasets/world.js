@@ -0,0 +1,76 @@
+// Countries and dependent territories (Natural Earth admin-0, 1:50m). Overseas
+// parts are part of their country, so France includes French Guiana.
+export default {
+  id: 'WORLD',
+  country: 'WORLD',
+  label: 'Countries',
+  flag: '🌍',
+  searchTerms: ['country', 'countries', 'world'],
+  badge: { color: '#37474f', background: '#eceff1' },
+  version: 2,
+  source: {
+    url: 'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@v5.1.2/geojson/ne_50m_admin_0_countries.geojson',
+    format: 'geojson'
+  },
+  // The _EH ("everything handled") columns fill in codes Natural Earth
+  // leaves as -99 for France, Norway and Kosovo
+  properties: {
+    name: 'ADMIN',
+    code: ['ISO_A2_EH', 'ISO_A2'],
+    altCode: ['ISO_A3_EH', 'ISO_A3'],
+    area: null
+  },
+  // Country codes are namespaced ('WORLD-CA') so they can't be mistaken for a
+  // subdivision's short code ('CA' is also California). The bare ISO code
+  // stays an alternate code, so ('CA', 'WORLD') still finds Canada.
+  codePrefix: 'WORLD-',
+  // Natural Earth names -> common short names
+  names: {
+    'United States of America': 'United States',
+    'United Republic of Tanzania': 'Tanzania',
+    'Republic of Serbia': 'Serbia',
+    'The Bahamas': 'Bahamas',
+    'eSwatini': 'Eswatini',
+    'Federated States of Micronesia': 'Micronesia',
+    'Hong Kong S.A.R.': 'Hong Kong',
+    'Macao S.A.R': 'Macau',
+    'Guinea Bissau': 'Guinea-Bissau',
+    'East Timor': 'Timor-Leste',
+    'Aland': 'Åland Islands'
+  },
+  // Territories without an ISO 3166-1 code keep a fallback code
+  codes: {},
+  altCodes: {},
+  aliases: {
+    'United States': ['USA', 'America'],
+    'United Kingdom': ['UK', 'Britain', 'Great Britain'],
+    'Russia': ['Russian Federation'],
+    'China': ['中国', "People's Republic of China", 'PRC'],
+    'India': ['Bharat'],
+    'Japan': ['Nippon'],
+    'Germany': ['Deutschland'],
+    'Netherlands': ['Holland'],
+    'Czechia': ['Czech Republic'],
+    'North Macedonia': ['Macedonia'],
+    'Eswatini': ['Swaziland'],
+    'Myanmar': ['Burma'],
+    'Sri Lanka': ['Ceylon'],
+    'Thailand': ['Siam'],
+    'Iran': ['Persia'],
+    'Turkey': ['Türkiye'],
+    'Ivory Coast': ["Côte d'Ivoire"],
+    'Cape Verde': ['Cabo Verde'],
+    'Democratic Republic of the Congo': ['DRC', 'DR Congo', 'Congo-Kinshasa', 'Zaire'],
+    'Republic of the Congo': ['Congo-Brazzaville'],
+    'South Korea': ['Korea', 'Republic of Korea'],
+    'North Korea': ['DPRK'],
+    'Timor-Leste': ['East Timor']
+  },
+  // Total areas including inland water, for reference
+  officialAreas: {
+    'Russia': 17098246, 'China': 9596961, 'Brazil': 8515767, 'Australia': 7692024,
+    'India': 3287263, 'Argentina': 2780400, 'Kazakhstan': 2724900, 'Algeria': 2381741,
+    'Mexico': 1964375, 'Indonesia': 1904569, 'Egypt': 1001450, 'France': 643801,
+    'Japan': 377975, 'Germany': 357022, 'United Kingdom': 242495
+  }
+};
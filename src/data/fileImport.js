@@ -0,0 +1,147 @@
+// Read the user's own boundary files (GeoJSON, TopoJSON, KML or a zipped
+// Shapefile) and turn their polygons into features of the user dataset.
+import * as topojson from 'topojson-client';
+import { mapPositions } from '../utils/sphericalGeometry.js';
+import { createUserFeature } from './userFeatures.js';
+
+// File types offered by the file picker
+export const IMPORT_ACCEPT = '.geojson,.json,.topojson,.kml,.zip';
+
+// Source properties tried, in order, for a feature's name
+const NAME_PROPERTIES = ['name', 'NAME', 'Name', 'title', 'label', 'NAMELSAD', 'NAME_1', 'NAME_EN', 'UNIT_NAME'];
+
+const getExtension = (fileName) => (fileName.toLowerCase().match(/\.[^.]+$/) || [''])[0];
+
+// Direct child element of a KML node by local name, ignoring namespaces
+const kmlChild = (node, name) => [...node.children].find(child => child.localName === name);
+
+function parseKmlRing(boundary) {
+  const coordinates = boundary.getElementsByTagNameNS('*', 'coordinates')[0];
+  if (!coordinates) return null;
+  return coordinates.textContent.trim().split(/\s+/).map(tuple => {
+    const [lng, lat] = tuple.split(',').map(Number);
+    return [lng, lat];
+  }).filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+function parseKml(text, fileName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`${fileName} is not a valid KML file`);
+  }
+
+  const features = [...doc.getElementsByTagNameNS('*', 'Placemark')].map(placemark => {
+    const polygons = [...placemark.getElementsByTagNameNS('*', 'Polygon')].map(polygon => {
+      const outer = kmlChild(polygon, 'outerBoundaryIs');
+      const inner = [...polygon.children].filter(child => child.localName === 'innerBoundaryIs');
+      return outer ? [outer, ...inner].map(parseKmlRing).filter(Boolean) : [];
+    });
+    return {
+      type: 'Feature',
+      geometry: { type: 'MultiPolygon', coordinates: polygons },
+      properties: { name: kmlChild(placemark, 'name')?.textContent.trim() || null }
+    };
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Every object in a topology, as one FeatureCollection
+function topologyToFeatureCollection(topology) {
+  const features = Object.values(topology.objects).flatMap(object => {
+    const result = topojson.feature(topology, object);
+    return result.type === 'FeatureCollection' ? result.features : [result];
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function toFeatureCollection(data, fileName) {
+  switch (data?.type) {
+    case 'FeatureCollection':
+      return data;
+    case 'Topology':
+      return topologyToFeatureCollection(data);
+    case 'Feature':
+      return { type: 'FeatureCollection', features: [data] };
+    case 'Polygon':
+    case 'MultiPolygon':
+    case 'GeometryCollection':
+      return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: data, properties: {} }] };
+    default:
+      throw new Error(`${fileName} is not GeoJSON or TopoJSON`);
+  }
+}
+
+// Read a file into a GeoJSON FeatureCollection. Shapefiles are reprojected
+// to longitude/latitude using their .prj when there is one.
+export async function readBoundaryFile(file) {
+  if (getExtension(file.name) === '.zip') {
+    // Only loaded when someone imports a Shapefile
+    const { default: shp } = await import('shpjs');
+    const result = await shp(await file.arrayBuffer());
+    return { type: 'FeatureCollection', features: [].concat(result).flatMap(c => c.features) };
+  }
+
+  const text = await file.text();
+  if (getExtension(file.name) === '.kml' || text.trimStart().startsWith('<')) {
+    return parseKml(text, file.name);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return toFeatureCollection(data, file.name);
+}
+
+function toPolygons(geometry) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(toPolygons);
+    default:
+      return [];
+  }
+}
+
+function readName(properties) {
+  for (const key of NAME_PROPERTIES) {
+    const value = properties?.[key];
+    if (value !== undefined && value !== null && String(value).trim()) return String(value).trim();
+  }
+  return null;
+}
+
+// Convert a FeatureCollection into user dataset features. Non-polygon
+// features (points, lines) are skipped; unnamed ones are named after the file.
+export function toUserFeatures(collection, fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const features = collection.features.filter(Boolean);
+
+  return features.map((feature, index) => {
+    const polygons = toPolygons(feature.geometry)
+      .map(polygon => polygon.filter(ring => ring && ring.length >= 4))
+      .filter(polygon => polygon.length > 0)
+      // Drop altitudes
+      .map(polygon => mapPositions(polygon, ([lng, lat]) => [lng, lat]));
+    if (polygons.length === 0) return null;
+
+    const outOfRange = polygons.some(polygon => polygon.some(ring =>
+      ring.some(([lng, lat]) => Math.abs(lat) > 90 || Math.abs(lng) > 540)
+    ));
+    if (outOfRange) {
+      throw new Error(`${fileName} isn't in longitude/latitude (WGS84) coordinates`);
+    }
+
+    const geometry = polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+    const name = readName(feature.properties) || (features.length > 1 ? `${baseName} ${index + 1}` : baseName);
+    return createUserFeature(geometry, name, fileName);
+  }).filter(Boolean);
+}
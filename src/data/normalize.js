@@ -0,0 +1,193 @@
+// Turns source boundary files into the app's feature shape. Used by the
+// build-time data pipeline (scripts/build-data.js); the app loads the result.
+import * as topojson from 'topojson-client';
+import { geodesicArea } from '../utils/sphericalGeometry.js';
+import { CHILD_CODE_SEPARATOR } from './datasets/index.js';
+
+// Natural Earth's placeholder for a missing code
+const MISSING_VALUE = '-99';
+
+// Read the first non-empty value among one or more source property names
+function readProperty(properties, keys) {
+  if (!keys) return null;
+  for (const key of [].concat(keys)) {
+    const value = properties[key];
+    if (value !== undefined && value !== null && value !== '' && String(value) !== MISSING_VALUE) return value;
+  }
+  return null;
+}
+
+// Uppercase ASCII slug of a name, for codes built from names
+function slugify(name) {
+  const slug = String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+  return slug || 'UNNAMED';
+}
+
+// Fallback code for features without a known ISO 3166-2 code. Built from the
+// full name so it stays stable and can't collide with a real ISO code.
+export function fallbackCode(country, name) {
+  return `${country}-X-${slugify(name)}`;
+}
+
+export function isFallbackCode(code) {
+  return /^[A-Z]+-X-/.test(code);
+}
+
+// Alternate codes for a feature: the registry's table, any alternate code
+// from the source, the feature id, and the code without its country prefix
+function getAltCodes(feature, dataset, name, code) {
+  const altCodes = [
+    ...(dataset.altCodes[name] || []),
+    readProperty(feature.properties || {}, dataset.properties.altCode),
+    feature.id,
+    isFallbackCode(code) ? null : code.split('-')[1]
+  ];
+  return [...new Set(altCodes.filter(c => c !== null && c !== undefined && c !== '').map(String))]
+    .filter(c => c !== code);
+}
+
+// Convert a source feature into the app's feature shape using the
+// dataset's property mappings and translation tables
+export function normalizeFeature(feature, dataset) {
+  const sourceProperties = feature.properties || {};
+  const sourceName = readProperty(sourceProperties, dataset.properties.name);
+  if (!sourceName) return null;
+
+  const name = dataset.names[sourceName] || sourceName;
+  const sourceCode = readProperty(sourceProperties, dataset.properties.code) || dataset.codes[name];
+  const code = sourceCode
+    ? `${dataset.codePrefix || ''}${sourceCode}`
+    : fallbackCode(dataset.country, name);
+  const officialArea = Number(readProperty(sourceProperties, dataset.properties.area))
+    || dataset.officialAreas[name]
+    || null;
+
+  return {
+    type: 'Feature',
+    geometry: feature.geometry,
+    properties: {
+      name,
+      code,
+      altCodes: getAltCodes(feature, dataset, name, code),
+      country: dataset.country,
+      dataset: dataset.id,
+      area_km2: feature.geometry ? Math.round(geodesicArea(feature.geometry.coordinates)) : 0,
+      official_area_km2: officialArea
+    }
+  };
+}
+
+// Whether a source division belongs to a region, going by the dataset's
+// children.parent property. The value may be the region's source name, its
+// code or one of its alternate codes.
+function isChildOf(feature, parent, dataset) {
+  const { property, length } = dataset.children.parent;
+  const value = property ? readProperty(feature.properties || {}, property) : feature.id;
+  if (value === null || value === undefined) return false;
+
+  const key = length ? String(value).slice(0, length) : String(value);
+  const { name, code, altCodes = [] } = parent.properties;
+  return (dataset.names[key] || key) === name || key === code || altCodes.includes(key);
+}
+
+// Convert a source division into the app's feature shape. The region's
+// name is part of its name ("Pune, Maharashtra") so divisions that share a
+// name stay apart in search and on the map, and its code is the region's
+// code plus the division's own code (or a slug of its name).
+function normalizeChildFeature(feature, dataset, parent) {
+  const sourceProperties = feature.properties || {};
+  const { properties } = dataset.children;
+  const name = readProperty(sourceProperties, properties.name);
+  if (!name) return null;
+
+  const key = readProperty(sourceProperties, properties.code) ?? feature.id ?? slugify(name);
+  const { name: parentName, code: parentCode } = parent.properties;
+
+  return {
+    type: 'Feature',
+    geometry: feature.geometry,
+    properties: {
+      name: `${name}, ${parentName}`,
+      code: `${parentCode}${CHILD_CODE_SEPARATOR}${String(key).toUpperCase()}`,
+      altCodes: [],
+      country: dataset.country,
+      dataset: dataset.id,
+      area_km2: feature.geometry ? Math.round(geodesicArea(feature.geometry.coordinates)) : 0,
+      official_area_km2: null,
+      parent: { code: parentCode, name: parentName }
+    }
+  };
+}
+
+// Polygons of a Polygon or MultiPolygon geometry
+function toPolygons(geometry) {
+  if (!geometry) return [];
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+// Some sources split one region across several features. Merge features
+// that share a code into one MultiPolygon so every code is unique.
+function mergeByCode(features) {
+  const byCode = new Map();
+  features.forEach(feature => {
+    const existing = byCode.get(feature.properties.code);
+    if (!existing) {
+      byCode.set(feature.properties.code, feature);
+      return;
+    }
+    byCode.set(feature.properties.code, {
+      ...existing,
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [...toPolygons(existing.geometry), ...toPolygons(feature.geometry)]
+      },
+      properties: {
+        ...existing.properties,
+        altCodes: [...new Set([...existing.properties.altCodes, ...feature.properties.altCodes])],
+        area_km2: existing.properties.area_km2 + feature.properties.area_km2
+      }
+    });
+  });
+  return [...byCode.values()];
+}
+
+// Parse a source document into a GeoJSON FeatureCollection
+export function toFeatureCollection(data, format, object) {
+  if (format === 'topojson') {
+    return topojson.feature(data, data.objects[object]);
+  }
+  return data;
+}
+
+// Parse and normalize a source document, dropping features without names
+// and merging features that share a code
+export function normalizeSource(data, dataset) {
+  const geojson = toFeatureCollection(data, dataset.source.format, dataset.source.object);
+  return {
+    type: 'FeatureCollection',
+    features: mergeByCode(
+      geojson.features
+        .map(feature => normalizeFeature(feature, dataset))
+        .filter(Boolean)
+    )
+  };
+}
+
+// Normalize a region's second-level divisions from a parsed source. Sources
+// with one file per region hold nothing else; shared sources are filtered
+// down to the region's divisions.
+export function normalizeChildren(geojson, dataset, parent) {
+  const features = dataset.children.parent.urlCode
+    ? geojson.features
+    : geojson.features.filter(feature => isChildOf(feature, parent, dataset));
+  return mergeByCode(
+    features
+      .map(feature => normalizeChildFeature(feature, dataset, parent))
+      .filter(Boolean)
+  );
+}
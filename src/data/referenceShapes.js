@@ -0,0 +1,164 @@
+// Reference shapes for explaining scale: circles, squares and hexagons of a
+// given area, radius or side length. Shapes are regular polygons on the
+// sphere with great-circle edges, so their area holds wherever they're moved.
+//
+// A shape is described by a spec { shape, measure, value, unit } and
+// identified by a code that encodes it, e.g. REF-CIRCLE-AREA-100000KM2 or
+// REF-SQUARE-SIDE-300MI. Shared links and saved comparisons store only the
+// code, and getReferenceFeature rebuilds the shape from it.
+import {
+  EARTH_RADIUS_KM, angleBetween, destinationPoint, geodesicArea, normalize, toLngLat, toVector
+} from '../utils/sphericalGeometry.js';
+import { getBounds } from '../utils/geoUtils.js';
+import { REFERENCE_DATASET } from './datasets/index.js';
+
+export const REFERENCE_SHAPES = {
+  circle: { label: 'Circle', sides: 128, measures: ['area', 'radius'] },
+  square: { label: 'Square', sides: 4, measures: ['area', 'side'] },
+  hexagon: { label: 'Hexagon', sides: 6, measures: ['area', 'side', 'radius'] }
+};
+
+// Conversion factors to km and km²
+export const LENGTH_UNITS = { km: 1, mi: 1.609344, m: 0.001, ft: 0.0003048, nmi: 1.852 };
+export const AREA_UNITS = { km2: 1, mi2: 2.589988110336, ha: 0.01, acre: 0.0040468564224, m2: 1e-6 };
+
+const UNIT_LABELS = { km2: 'km²', mi2: 'mi²', ha: 'ha', acre: 'acres', m2: 'm²', km: 'km', mi: 'mi', m: 'm', ft: 'ft', nmi: 'nmi' };
+
+export const unitsForMeasure = (measure) => Object.keys(measure === 'area' ? AREA_UNITS : LENGTH_UNITS);
+export const formatUnit = (unit) => UNIT_LABELS[unit] || unit;
+
+// Shapes are built around this point; overlays offset them from here
+const ORIGIN = [0, 0];
+// Vertices added along each edge so it follows the great circle on the map
+const EDGE_STEPS = 24;
+// Largest circumradius allowed, just short of a hemisphere
+const MAX_RADIUS = (Math.PI / 2) * 0.98;
+
+// Point a fraction t of the way along the great circle from a to b
+function interpolate(a, b, t) {
+  const va = toVector(a);
+  const vb = toVector(b);
+  const angle = angleBetween(va, vb);
+  if (angle < 1e-12) return a;
+  const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+  const wb = Math.sin(t * angle) / Math.sin(angle);
+  return toLngLat(normalize([0, 1, 2].map(i => wa * va[i] + wb * vb[i])));
+}
+
+// Closed ring of a regular polygon with the given angular circumradius.
+// Squares sit edge-on to north; hexagons have a flat top and bottom.
+function regularPolygonRing(sides, radius) {
+  const startBearing = sides === 4 ? Math.PI / 4 : Math.PI / 2;
+  const vertices = Array.from({ length: sides }, (_, i) =>
+    destinationPoint(ORIGIN, radius * EARTH_RADIUS_KM, startBearing + (2 * Math.PI * i) / sides)
+  );
+  if (sides > 12) return [...vertices, vertices[0]];
+
+  const ring = vertices.flatMap((vertex, i) => {
+    const next = vertices[(i + 1) % sides];
+    return Array.from({ length: EDGE_STEPS }, (_, step) => interpolate(vertex, next, step / EDGE_STEPS));
+  });
+  return [...ring, ring[0]];
+}
+
+const ringArea = (sides, radius) => geodesicArea([regularPolygonRing(sides, radius)]);
+
+// Angular circumradius of a regular polygon with the given side (angular),
+// from the spherical law of cosines: cos s = cos²ρ + sin²ρ·cos(2π/n)
+function radiusFromSide(sides, side) {
+  const c = Math.cos((2 * Math.PI) / sides);
+  const cosSquared = (Math.cos(side) - c) / (1 - c);
+  return cosSquared > 0 ? Math.acos(Math.sqrt(cosSquared)) : Infinity;
+}
+
+// Circumradius giving the requested area, found by bisection
+function radiusFromArea(sides, areaKm2) {
+  if (areaKm2 >= ringArea(sides, MAX_RADIUS)) return Infinity;
+  let low = 0;
+  let high = MAX_RADIUS;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (ringArea(sides, mid) < areaKm2) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Angular circumradius for a spec, or null if the spec is invalid
+function getRadius({ shape, measure, value, unit }) {
+  const definition = REFERENCE_SHAPES[shape];
+  if (!definition || !definition.measures.includes(measure) || !(value > 0)) return null;
+
+  let radius;
+  if (measure === 'area') {
+    if (!AREA_UNITS[unit]) return null;
+    radius = radiusFromArea(definition.sides, value * AREA_UNITS[unit]);
+  } else {
+    if (!LENGTH_UNITS[unit]) return null;
+    const length = (value * LENGTH_UNITS[unit]) / EARTH_RADIUS_KM;
+    radius = measure === 'side' ? radiusFromSide(definition.sides, length) : length;
+  }
+  return radius > 0 && radius <= MAX_RADIUS ? radius : null;
+}
+
+// e.g. "Circle · 100,000 km²", "Square · 300 mi side"
+export function formatReferenceName({ shape, measure, value, unit }) {
+  const size = `${value.toLocaleString()} ${formatUnit(unit)}`;
+  const label = REFERENCE_SHAPES[shape]?.label || 'Shape';
+  return measure === 'area' ? `${label} · ${size}` : `${label} · ${size} ${measure}`;
+}
+
+export function toReferenceCode({ shape, measure, value, unit }) {
+  return `${REFERENCE_DATASET.country}-${shape}-${measure}-${value}${unit}`.toUpperCase();
+}
+
+export function parseReferenceCode(code) {
+  const match = /^REF-([A-Z]+)-([A-Z]+)-(\d+(?:\.\d+)?)([A-Z0-9]+)$/.exec(String(code).toUpperCase());
+  if (!match) return null;
+  return {
+    shape: match[1].toLowerCase(),
+    measure: match[2].toLowerCase(),
+    value: Number(match[3]),
+    unit: match[4].toLowerCase()
+  };
+}
+
+// Build the feature for a spec, centered on 0°, 0°. Returns null if the
+// spec is invalid or the shape wouldn't fit within a hemisphere.
+export function createReferenceFeature(spec) {
+  const radius = getRadius(spec);
+  if (radius === null) return null;
+
+  const ring = regularPolygonRing(REFERENCE_SHAPES[spec.shape].sides, radius);
+  const area = geodesicArea([ring]);
+  return {
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [ring] },
+    properties: {
+      name: formatReferenceName(spec),
+      code: toReferenceCode(spec),
+      altCodes: [],
+      country: REFERENCE_DATASET.country,
+      dataset: REFERENCE_DATASET.id,
+      area_km2: area < 100 ? Number(area.toFixed(2)) : Math.round(area),
+      official_area_km2: null,
+      radius_km: radius * EARTH_RADIUS_KM
+    }
+  };
+}
+
+export function getReferenceFeature(code) {
+  const spec = parseReferenceCode(code);
+  return spec ? createReferenceFeature(spec) : null;
+}
+
+// Where to put a new reference shape: just east of the selected overlay,
+// at the same latitude, or else at the map center
+export function placeReferenceShape(feature, { overlay, center }) {
+  if (!overlay) return center;
+
+  const [, lat] = overlay.centroid;
+  const kmPerDegree = (Math.PI / 180) * EARTH_RADIUS_KM * Math.max(0.1, Math.cos((lat * Math.PI) / 180));
+  const { maxLng } = getBounds(overlay.geometry.coordinates);
+  return [maxLng + (feature.properties.radius_km * 1.15) / kmPerDegree, lat];
+}
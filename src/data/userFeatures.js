@@ -0,0 +1,63 @@
+// Features of the user dataset: shapes imported from files or drawn on the map
+import { geodesicArea } from '../utils/sphericalGeometry.js';
+import { USER_DATASET } from './datasets/index.js';
+import { dissolveFeatures, nameMergedShape } from '../utils/mergeShapes.js';
+
+// Codes are unique per feature so the same file can be imported twice
+let codeSequence = 0;
+
+function createUserCode() {
+  codeSequence += 1;
+  return `${USER_DATASET.country}-${Date.now().toString(36)}${codeSequence.toString(36)}`.toUpperCase();
+}
+
+// Small areas keep two decimals so a park doesn't show as 0 km²
+const roundArea = (area) => (area < 100 ? Number(area.toFixed(2)) : Math.round(area));
+
+const DRAWN_SHAPE_NAMES = {
+  polygon: 'Polygon',
+  freehand: 'Freehand shape',
+  circle: 'Circle',
+  rectangle: 'Rectangle'
+};
+
+// Name for a shape drawn on the map, numbered after earlier drawn shapes
+export function nameDrawnShape(mode, userFeatures) {
+  const drawnCount = userFeatures.filter(f => f.properties.source === 'drawn').length;
+  return `${DRAWN_SHAPE_NAMES[mode] || 'Shape'} ${drawnCount + 1}`;
+}
+
+// Build a user dataset feature from a Polygon or MultiPolygon geometry.
+// Shapes rebuilt from an overlay export pass the code they were exported
+// with. Returns null for geometry that encloses no area.
+export function createUserFeature(geometry, name, source, code = createUserCode()) {
+  const area = geodesicArea(geometry.coordinates);
+  if (!(area > 0)) return null;
+
+  return {
+    type: 'Feature',
+    geometry,
+    properties: {
+      name,
+      code,
+      altCodes: [],
+      country: USER_DATASET.country,
+      dataset: USER_DATASET.id,
+      area_km2: roundArea(area),
+      official_area_km2: null,
+      source
+    }
+  };
+}
+
+// Dissolve several features into one user feature. Its area is the sum of
+// theirs, and mergedFrom lists their codes. Returns null if they can't be
+// merged.
+export function createMergedFeature(features) {
+  const geometry = dissolveFeatures(features);
+  const feature = geometry && createUserFeature(geometry, nameMergedShape(features), 'merged');
+  if (!feature) return null;
+  feature.properties.area_km2 = roundArea(features.reduce((sum, f) => sum + f.properties.area_km2, 0));
+  feature.properties.mergedFrom = features.map(f => f.properties.code);
+  return feature;
+}
@@ -0,0 +1,84 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { parseComparison, serializeComparison } from '../utils/urlState';
+import { resolveComparison, toComparisonState } from '../utils/comparisonState';
+import { loadSession, saveSession } from '../utils/comparisonStorage';
+import { getParentCode } from '../data/datasets/index.js';
+
+// Wait this long after the last edit before rewriting the URL and the saved
+// session, so rotation gestures don't flood history and storage
+const SYNC_DELAY = 300;
+
+// Pick the comparison to start with: a shared link wins over the session
+// autosaved from the last visit
+function getInitialState() {
+  const fromUrl = parseComparison(window.location.search);
+  if (fromUrl.overlays.length > 0) return fromUrl;
+  const session = loadSession();
+  if (session?.overlays?.length > 0) {
+    return { ...session, view: fromUrl.view || session.view };
+  }
+  return fromUrl;
+}
+
+// Keeps the live comparison in the page URL and in local storage: restores
+// it on load once the referenced datasets are ready, then mirrors every edit.
+export function useComparisonSync({
+  overlays,
+  selectedOverlayId,
+  view,
+  datasetsSettled,
+  getStateByCode,
+  loadChildrenFor,
+  restoreOverlays
+}) {
+  const [initialState] = useState(getInitialState);
+  const restoredRef = useRef(initialState.overlays.length === 0);
+  const loadingChildrenRef = useRef(false);
+
+  // Restore as soon as every referenced state resolves, or once all datasets
+  // have settled (states from datasets that failed to load are skipped).
+  // Second-level divisions load on demand, so their regions are expanded
+  // first.
+  useEffect(() => {
+    if (restoredRef.current || loadingChildrenRef.current) return;
+
+    const { missing } = resolveComparison(initialState, getStateByCode);
+    if (!datasetsSettled && missing.length > 0) return;
+
+    const restore = (lookup) => {
+      const { entries, selectedIndex, missing: unresolved } = resolveComparison(initialState, lookup);
+      unresolved.forEach(ref => console.warn(`Could not restore unknown state ${ref.code}`));
+      restoredRef.current = true;
+      restoreOverlays(entries, selectedIndex, { record: false });
+    };
+
+    if (loadChildrenFor && missing.some(ref => getParentCode(ref.code))) {
+      loadingChildrenRef.current = true;
+      loadChildrenFor(missing).then(restore);
+    } else {
+      restore(getStateByCode);
+    }
+  }, [initialState, datasetsSettled, getStateByCode, loadChildrenFor, restoreOverlays]);
+
+  const state = useMemo(
+    () => toComparisonState({ overlays, selectedOverlayId, view }),
+    [overlays, selectedOverlayId, view]
+  );
+  const search = useMemo(() => serializeComparison(state), [state]);
+
+  // Mirror edits into the URL (without adding history entries) and autosave
+  useEffect(() => {
+    if (!restoredRef.current) return;
+    const timer = setTimeout(() => {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      window.history.replaceState(window.history.state, '', url);
+      saveSession(state);
+    }, SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, state]);
+
+  return {
+    initialView: initialState.view,
+    shareUrl: `${window.location.origin}${window.location.pathname}${search}`
+  };
+}
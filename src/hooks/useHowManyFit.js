@@ -0,0 +1,63 @@
+import { useState, useCallback } from 'react';
+import { packCopies } from '../utils/tiling';
+
+// Identifies a pair of overlays in their current positions, so a packing
+// result is marked stale once either shape moves
+const positionKey = (small, large) => [small, large]
+  .map(o => `${o.id}:${o.centroid.join(',')}:${o.rotation}`)
+  .join('|');
+
+// "How many fit?" between two overlays. Until the user picks a pair, the
+// smallest overlay is fitted inside the largest. Packed copies become
+// temporary overlays, which packing again or clearing replaces in one go.
+export function useHowManyFit({ overlays, setTemporaryCopies }) {
+  const [pair, setPair] = useState([null, null]); // [smallId, largeId]
+  const [result, setResult] = useState(null);
+  const [packing, setPacking] = useState(false);
+
+  // Copies can't be picked themselves
+  const candidates = overlays.filter(o => !o.temporary);
+  const copyCount = overlays.length - candidates.length;
+
+  const bySize = [...candidates].sort((a, b) => a.area_km2 - b.area_km2);
+  const exists = (id) => candidates.some(o => o.id === id);
+  const smallId = exists(pair[0]) ? pair[0] : bySize[0]?.id;
+  const largeId = exists(pair[1]) && pair[1] !== smallId
+    ? pair[1]
+    : [...bySize].reverse().find(o => o.id !== smallId)?.id;
+
+  const small = candidates.find(o => o.id === smallId) || null;
+  const large = candidates.find(o => o.id === largeId) || null;
+  const key = small && large ? positionKey(small, large) : null;
+  const current = result && result.key === key ? result : null;
+
+  const pack = useCallback(() => {
+    if (!small || !large) return;
+    setPacking(true);
+    // Let the panel show that packing has started before the work blocks
+    setTimeout(() => {
+      const packed = packCopies(small, large);
+      setResult({ ...packed, key: positionKey(small, large) });
+      setTemporaryCopies(small, packed.copies || []);
+      setPacking(false);
+    }, 0);
+  }, [small, large, setTemporaryCopies]);
+
+  const clear = useCallback(() => {
+    setResult(null);
+    setTemporaryCopies(null, []);
+  }, [setTemporaryCopies]);
+
+  return {
+    candidates,
+    small,
+    large,
+    setPair: (idSmall, idLarge) => setPair([idSmall, idLarge]),
+    result: current,
+    isStale: Boolean(result) && !current,
+    packing,
+    copyCount,
+    pack,
+    clear
+  };
+}
@@ -1,89 +1,299 @@
 import { useState, useCallback } from 'react';
-import { getNextColor, resetColorIndex } from '../utils/colorUtils';
-import { cloneGeometry, calculateCentroid, getMercatorScaleFactor } from '../utils/geoUtils';
+import { getNextColor } from '../utils/colorUtils';
+import {
+  cloneGeometry, calculateCentroid, getMercatorScaleFactor, transformGeometry, unwrapGeometry
+} from '../utils/geoUtils';
 
-export function useMapOverlays() {
-  const [overlays, setOverlays] = useState([]);
-  const [selectedOverlayId, setSelectedOverlayId] = useState(null);
-
-  const addOverlay = useCallback((stateFeature) => {
-    const id = `${stateFeature.properties.code}-${Date.now()}`;
-    const color = getNextColor();
-    const geometry = cloneGeometry(stateFeature.geometry);
-    const centroid = calculateCentroid(geometry.coordinates);
-    
-    const newOverlay = {
-      id,
-      name: stateFeature.properties.name,
-      code: stateFeature.properties.code,
-      country: stateFeature.properties.country,
-      area_km2: stateFeature.properties.area_km2,
-      color,
-      geometry,
-      originalGeometry: cloneGeometry(stateFeature.geometry),
-      centroid,
-      originalCentroid: [...centroid], // Store original centroid for scale calculations
-      rotation: 0,
-      scale: 1,
-      offset: [0, 0],
-      mercatorScale: 1 // Track the visual scale due to Mercator projection
-    };
-    
-    setOverlays(prev => [...prev, newOverlay]);
-    setSelectedOverlayId(id);
-    return id;
-  }, []);
+// Place an overlay's geometry at a new centroid and/or rotation. The shape is
+// rotated and moved on the sphere, so it keeps its true size and area.
+function applyTransform(overlay, { centroid = overlay.centroid, rotation = overlay.rotation }) {
+  return {
+    ...overlay,
+    geometry: transformGeometry(overlay.originalGeometry, overlay.originalCentroid, centroid, rotation),
+    centroid,
+    rotation,
+    offset: [
+      centroid[0] - overlay.originalCentroid[0],
+      centroid[1] - overlay.originalCentroid[1]
+    ],
+    mercatorScale: getMercatorScaleFactor(centroid[1]) / getMercatorScaleFactor(overlay.originalCentroid[1])
+  };
+}
 
-  const removeOverlay = useCallback((id) => {
-    setOverlays(prev => prev.filter(o => o.id !== id));
-    if (selectedOverlayId === id) {
-      setSelectedOverlayId(null);
+// Overlay ids combine the feature code with a per-session sequence number,
+// so adding the same state twice (even within a millisecond) never collides
+let overlaySequence = 0;
+
+function createOverlayId(code) {
+  overlaySequence += 1;
+  return `${code}#${overlaySequence}`;
+}
+
+// Build an overlay from a state feature. A saved transform ({ color, offset,
+// rotation }) places it where it was when a comparison was shared or saved.
+// Parts split at the antimeridian are drawn next to each other. Temporary
+// overlays (packed "How many fit?" copies) aren't shared or saved.
+function createOverlay(stateFeature, { color, offset, rotation = 0, temporary = false } = {}) {
+  const centroid = calculateCentroid(stateFeature.geometry.coordinates);
+  const geometry = unwrapGeometry(cloneGeometry(stateFeature.geometry), centroid[0]);
+  
+  const overlay = {
+    id: createOverlayId(stateFeature.properties.code),
+    name: stateFeature.properties.name,
+    code: stateFeature.properties.code,
+    country: stateFeature.properties.country,
+    dataset: stateFeature.properties.dataset,
+    area_km2: stateFeature.properties.area_km2,
+    official_area_km2: stateFeature.properties.official_area_km2 ?? null,
+    color: color || getNextColor(),
+    geometry,
+    originalGeometry: cloneGeometry(geometry),
+    centroid,
+    originalCentroid: [...centroid], // Store original centroid for scale calculations
+    rotation: 0,
+    scale: 1,
+    offset: [0, 0],
+    mercatorScale: 1, // Track the visual scale due to Mercator projection
+    temporary
+  };
+
+  if (!offset && !rotation) return overlay;
+  return applyTransform(overlay, {
+    centroid: offset ? [centroid[0] + offset[0], centroid[1] + offset[1]] : centroid,
+    rotation
+  });
+}
+
+// The feature an overlay was made from, at its original position
+function toFeature(overlay) {
+  return {
+    type: 'Feature',
+    geometry: overlay.originalGeometry,
+    properties: {
+      name: overlay.name,
+      code: overlay.code,
+      country: overlay.country,
+      dataset: overlay.dataset,
+      area_km2: overlay.area_km2,
+      official_area_km2: overlay.official_area_km2
     }
-  }, [selectedOverlayId]);
+  };
+}
+
+// Maximum number of undo steps kept
+const MAX_HISTORY = 100;
+
+const snapshot = (state) => ({
+  overlays: state.overlays,
+  selectedOverlayId: state.selectedOverlayId
+});
+
+export function useMapOverlays() {
+  // Overlays, selection and undo history live in one state object so every
+  // edit and its history entry are applied together
+  const [state, setState] = useState({
+    overlays: [],
+    selectedOverlayId: null,
+    past: [],
+    future: [],
+    inGesture: false
+  });
+  const { overlays, selectedOverlayId } = state;
+  // Last overlay added by the user, which the map flies to
+  const [lastAddedId, setLastAddedId] = useState(null);
 
-  const updateOverlay = useCallback((id, updates) => {
-    setOverlays(prev => prev.map(o => 
-      o.id === id ? { ...o, ...updates } : o
-    ));
+  // Apply an edit. recipe(state) returns the changed fields. Unless record is
+  // false, the previous state becomes an undo step; edits during a gesture
+  // share the step recorded when the gesture began.
+  const commit = useCallback((recipe, { record = true } = {}) => {
+    setState(prev => {
+      const changes = recipe(prev);
+      if (!changes) return prev;
+      const recordStep = record && !prev.inGesture;
+      return {
+        ...prev,
+        ...changes,
+        past: recordStep ? [...prev.past, snapshot(prev)].slice(-MAX_HISTORY) : prev.past,
+        future: recordStep ? [] : prev.future
+      };
+    });
   }, []);
 
-  const clearAllOverlays = useCallback(() => {
-    setOverlays([]);
-    setSelectedOverlayId(null);
-    resetColorIndex();
+  // A drag or rotation gesture counts as a single undo step
+  const beginGesture = useCallback(() => {
+    setState(prev => ({
+      ...prev,
+      past: [...prev.past, snapshot(prev)].slice(-MAX_HISTORY),
+      future: [],
+      inGesture: true
+    }));
   }, []);
 
-  const resetOverlay = useCallback((id) => {
-    setOverlays(prev => prev.map(o => {
-      if (o.id !== id) return o;
+  const endGesture = useCallback(() => {
+    setState(prev => {
+      if (!prev.inGesture) return prev;
+      // Drop the step if the gesture didn't change anything (a plain tap)
+      const last = prev.past[prev.past.length - 1];
+      const unchanged = last && last.overlays === prev.overlays;
       return {
-        ...o,
-        geometry: cloneGeometry(o.originalGeometry),
-        centroid: [...o.originalCentroid],
-        offset: [0, 0],
-        rotation: 0,
-        mercatorScale: 1
+        ...prev,
+        past: unchanged ? prev.past.slice(0, -1) : prev.past,
+        inGesture: false
       };
-    }));
+    });
   }, []);
 
-  const selectOverlay = useCallback((id) => {
-    setSelectedOverlayId(id);
+  const undo = useCallback(() => {
+    setState(prev => {
+      if (prev.past.length === 0) return prev;
+      const previous = prev.past[prev.past.length - 1];
+      return {
+        ...prev,
+        ...previous,
+        past: prev.past.slice(0, -1),
+        future: [snapshot(prev), ...prev.future],
+        inGesture: false
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState(prev => {
+      if (prev.future.length === 0) return prev;
+      const [next, ...future] = prev.future;
+      return {
+        ...prev,
+        ...next,
+        past: [...prev.past, snapshot(prev)],
+        future,
+        inGesture: false
+      };
+    });
   }, []);
 
-  const getSelectedOverlay = useCallback(() => {
-    return overlays.find(o => o.id === selectedOverlayId) || null;
-  }, [overlays, selectedOverlayId]);
+  // Pass focus: false for shapes already in view, such as ones just drawn.
+  // A transform ({ offset, rotation }) places the new overlay.
+  const addOverlay = useCallback((stateFeature, { focus = true, ...transform } = {}) => {
+    const newOverlay = createOverlay(stateFeature, transform);
+    
+    commit(prev => ({
+      overlays: [...prev.overlays, newOverlay],
+      selectedOverlayId: newOverlay.id
+    }));
+    if (focus) {
+      setLastAddedId(newOverlay.id);
+    }
+    return newOverlay.id;
+  }, [commit]);
+
+  // Add several features as one undo step, such as a whole country picked
+  // in the browse panel. The map flies to the last one.
+  const addOverlays = useCallback((stateFeatures) => {
+    if (stateFeatures.length === 0) return [];
+    const newOverlays = stateFeatures.map(feature => createOverlay(feature));
+    const lastId = newOverlays[newOverlays.length - 1].id;
+
+    commit(prev => ({
+      overlays: [...prev.overlays, ...newOverlays],
+      selectedOverlayId: lastId
+    }));
+    setLastAddedId(lastId);
+    return newOverlays.map(o => o.id);
+  }, [commit]);
+
+  // Replace all overlays with saved ones: [{ feature, color, offset, rotation }].
+  // Restoring the startup session passes record: false so it can't be undone.
+  const restoreOverlays = useCallback((entries, selectedIndex = null, { record = true } = {}) => {
+    const restored = entries.map(({ feature, ...transform }) => createOverlay(feature, transform));
+    commit(() => ({
+      overlays: restored,
+      selectedOverlayId: restored[selectedIndex]?.id ?? null
+    }), { record });
+  }, [commit]);
+
+  const removeOverlay = useCallback((id) => {
+    commit(prev => ({
+      overlays: prev.overlays.filter(o => o.id !== id),
+      selectedOverlayId: prev.selectedOverlayId === id ? null : prev.selectedOverlayId
+    }));
+  }, [commit]);
+
+  const transformOverlay = useCallback((id, transform) => {
+    commit(prev => ({
+      overlays: prev.overlays.map(o =>
+        o.id === id ? applyTransform(o, transform) : o
+      )
+    }));
+  }, [commit]);
+
+  // Replace the temporary overlays with copies of an overlay placed at the
+  // given transforms ([{ centroid, rotation }]), as one undo step. An empty
+  // list clears them.
+  const setTemporaryCopies = useCallback((source, transforms) => {
+    const copies = transforms.map(({ centroid, rotation }) => createOverlay(toFeature(source), {
+      color: source.color,
+      offset: [centroid[0] - source.originalCentroid[0], centroid[1] - source.originalCentroid[1]],
+      rotation,
+      temporary: true
+    }));
+    commit(prev => {
+      const kept = prev.overlays.filter(o => !o.temporary);
+      if (copies.length === 0 && kept.length === prev.overlays.length) return null;
+      return {
+        overlays: [...kept, ...copies],
+        selectedOverlayId: kept.some(o => o.id === prev.selectedOverlayId) ? prev.selectedOverlayId : null
+      };
+    });
+  }, [commit]);
+
+  // The color cursor keeps going: undoing a clear brings back overlays that
+  // still hold the first colors
+  const clearAllOverlays = useCallback(() => {
+    commit(prev => prev.overlays.length > 0 && {
+      overlays: [],
+      selectedOverlayId: null
+    });
+  }, [commit]);
+
+  const resetOverlay = useCallback((id) => {
+    commit(prev => ({
+      overlays: prev.overlays.map(o => {
+        if (o.id !== id) return o;
+        return {
+          ...o,
+          geometry: cloneGeometry(o.originalGeometry),
+          centroid: [...o.originalCentroid],
+          offset: [0, 0],
+          rotation: 0,
+          mercatorScale: 1
+        };
+      })
+    }));
+  }, [commit]);
+
+  // Selection alone is not an undo step
+  const selectOverlay = useCallback((id) => {
+    commit(() => ({ selectedOverlayId: id }), { record: false });
+  }, [commit]);
 
   return {
     overlays,
     selectedOverlayId,
+    lastAddedId,
     addOverlay,
+    addOverlays,
+    restoreOverlays,
     removeOverlay,
-    updateOverlay,
+    transformOverlay,
     clearAllOverlays,
+    setTemporaryCopies,
     resetOverlay,
     selectOverlay,
-    getSelectedOverlay
+    beginGesture,
+    endGesture,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0
   };
 }
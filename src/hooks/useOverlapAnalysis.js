@@ -0,0 +1,45 @@
+import { useState, useMemo, useDeferredValue } from 'react';
+import { analyzeOverlap } from '../utils/overlapAnalysis';
+
+// Overlap between two chosen overlays, recomputed as they move. Until the
+// user picks a pair, the selected overlay is compared with the nearest other
+// one in the list. highlight names the region drawn on the map.
+export function useOverlapAnalysis(overlays, selectedOverlayId) {
+  const [pair, setPair] = useState([null, null]);
+  const [highlight, setHighlight] = useState('intersection'); // region key or null
+
+  const exists = (id) => overlays.some(o => o.id === id);
+  const firstId = exists(pair[0]) ? pair[0] : (exists(selectedOverlayId) ? selectedOverlayId : overlays[0]?.id);
+  const secondId = exists(pair[1]) && pair[1] !== firstId
+    ? pair[1]
+    : overlays.find(o => o.id !== firstId)?.id;
+
+  const a = overlays.find(o => o.id === firstId) || null;
+  const b = overlays.find(o => o.id === secondId) || null;
+
+  // Clipping detailed boundaries is slow, so let it lag behind a drag
+  const deferredA = useDeferredValue(a);
+  const deferredB = useDeferredValue(b);
+  const analysis = useMemo(
+    () => (deferredA && deferredB ? analyzeOverlap(deferredA, deferredB) : null),
+    [deferredA, deferredB]
+  );
+
+  const highlightGeometry = highlight && analysis ? analysis.geometries[highlight] : null;
+  // GeoJSON layers don't update their data in place, so the map layer is
+  // keyed by everything that changes the geometry
+  const highlightKey = highlightGeometry
+    ? [deferredA, deferredB].map(o => `${o.id}:${o.centroid.join(',')}:${o.rotation}`).join('|') + `|${highlight}`
+    : null;
+
+  return {
+    a,
+    b,
+    setPair: (idA, idB) => setPair([idA, idB]),
+    analysis,
+    highlight,
+    setHighlight,
+    highlightGeometry,
+    highlightKey
+  };
+}
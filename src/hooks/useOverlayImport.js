@@ -0,0 +1,83 @@
+import { useState, useCallback } from 'react';
+import { getExportedShapes, parseOverlayGeoJSON } from '../utils/overlayIO';
+import { resolveComparison } from '../utils/comparisonState';
+import { readBoundaryFile, toUserFeatures } from '../data/fileImport';
+import { createUserFeature } from '../data/userFeatures';
+import { USER_DATASET } from '../data/datasets/index.js';
+
+// Imports with at most this many features are also added to the map
+const AUTO_ADD_LIMIT = 5;
+
+// Import dropped or picked files. A GeoJSON overlay export replaces the
+// current overlays; overlays whose code doesn't resolve here (shapes drawn
+// or imported in another browser, or from a dataset that failed to load)
+// are rebuilt from the file's geometry and join the user dataset. Any other
+// boundary file adds its polygons to the user dataset. The outcome of the last import is kept in importResults:
+//   [{ fileName, kind: 'overlays', imported, missing }
+//    | { fileName, kind: 'features', imported, added }
+//    | { fileName, kind: 'error', error }]
+export function useOverlayImport({ getStateByCode, loadChildrenFor, restoreOverlays, addOverlay, addUserFeatures }) {
+  const [importResults, setImportResults] = useState(null);
+
+  const importFile = useCallback(async (file) => {
+    const collection = await readBoundaryFile(file);
+
+    const state = parseOverlayGeoJSON(collection);
+    if (state) {
+      const lookup = loadChildrenFor ? await loadChildrenFor(state.overlays) : getStateByCode;
+      const shapes = getExportedShapes(collection);
+      const rebuilt = new Map();
+      // User shapes keep their code; others get a new one so they can't
+      // clash with the dataset they came from once it loads
+      const rebuild = (code, country) => {
+        if (!rebuilt.has(code)) {
+          const shape = shapes.get(code);
+          const userCode = country === USER_DATASET.country ? code : undefined;
+          rebuilt.set(code, shape ? createUserFeature(shape.geometry, shape.name, file.name, userCode) : null);
+        }
+        return rebuilt.get(code);
+      };
+
+      const { entries, selectedIndex, missing } = resolveComparison(
+        state,
+        (code, country) => lookup(code, country) || rebuild(code, country)
+      );
+      const userFeatures = [...rebuilt.values()].filter(Boolean);
+      if (userFeatures.length > 0) {
+        addUserFeatures(userFeatures);
+      }
+      if (entries.length > 0) {
+        restoreOverlays(entries, selectedIndex);
+      }
+      return { kind: 'overlays', imported: entries.length, missing };
+    }
+
+    const features = toUserFeatures(collection, file.name);
+    if (features.length === 0) {
+      throw new Error(`${file.name} has no polygons to import`);
+    }
+    addUserFeatures(features);
+    // Imported features go through the same path as states
+    const added = features.length <= AUTO_ADD_LIMIT ? features : [];
+    added.forEach(feature => addOverlay(feature));
+    return { kind: 'features', imported: features.length, added: added.length };
+  }, [getStateByCode, loadChildrenFor, restoreOverlays, addOverlay, addUserFeatures]);
+
+  const importFiles = useCallback(async (files) => {
+    const results = [];
+    for (const file of files) {
+      try {
+        results.push({ fileName: file.name, ...(await importFile(file)) });
+      } catch (error) {
+        console.error(`Failed to import ${file.name}:`, error);
+        results.push({ fileName: file.name, kind: 'error', error: error.message });
+      }
+    }
+    setImportResults(results);
+    return results;
+  }, [importFile]);
+
+  const dismissImportResults = useCallback(() => setImportResults(null), []);
+
+  return { importFiles, importResults, dismissImportResults };
+}
@@ -0,0 +1,160 @@
+import { useState, useCallback, useRef } from 'react';
+import { getMercatorScaleFactor } from '../utils/geoUtils';
+
+// Screen pixels an arrow key moves the edited overlay, and with Shift held
+const NUDGE_PX = 10;
+const LARGE_NUDGE_PX = 50;
+// Degrees [ and ] turn it, and with Shift held
+const ROTATE_DEG = 5;
+const LARGE_ROTATE_DEG = 15;
+
+const ARROWS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+// Shift+[ and Shift+] type braces on most layouts
+const ROTATE_KEYS = { '[': 1, '{': 1, ']': -1, '}': -1 };
+
+function formatPosition([lng, lat]) {
+  const wrappedLng = ((lng + 540) % 360) - 180;
+  return `${Math.abs(lat).toFixed(1)}° ${lat >= 0 ? 'N' : 'S'}, `
+    + `${Math.abs(wrappedLng).toFixed(1)}° ${wrappedLng >= 0 ? 'E' : 'W'}`;
+}
+
+const toDegrees = (rotation) => Math.round((rotation * 180) / Math.PI);
+
+// Keyboard control of the overlays, for the map and the overlay list.
+// Enter toggles edit mode on the selected overlay; while editing, arrow
+// keys move it and [ / ] rotate it, with Shift for larger steps. Delete
+// removes it and, on the map, Tab steps through the overlays and then on
+// out of the map, so focus never gets stuck there. Every change is
+// described in `announcement` for a live region.
+export function useOverlayKeyboard({
+  mapRef,
+  overlays,
+  selectedOverlayId,
+  editModeId,
+  setEditModeId,
+  selectOverlay,
+  transformOverlay,
+  removeOverlay,
+  beginGesture,
+  endGesture
+}) {
+  const [announcement, setAnnouncement] = useState('');
+  // Holding a key down moves or turns the overlay as one undo step
+  const gestureRef = useRef(false);
+
+  const startGesture = useCallback(() => {
+    if (gestureRef.current) return;
+    gestureRef.current = true;
+    beginGesture();
+  }, [beginGesture]);
+
+  const finishGesture = useCallback(() => {
+    if (!gestureRef.current) return;
+    gestureRef.current = false;
+    endGesture();
+  }, [endGesture]);
+
+  const nudge = useCallback((overlay, [dx, dy], step) => {
+    const map = mapRef.current;
+    if (!map) return;
+    const point = map.latLngToContainerPoint([overlay.centroid[1], overlay.centroid[0]]);
+    const latLng = map.containerPointToLatLng([point.x + dx * step, point.y + dy * step]);
+    const centroid = [latLng.lng, latLng.lat];
+
+    startGesture();
+    transformOverlay(overlay.id, { centroid });
+    const scale = getMercatorScaleFactor(latLng.lat) / getMercatorScaleFactor(overlay.originalCentroid[1]);
+    setAnnouncement(
+      `${overlay.name} moved to ${formatPosition(centroid)}, drawn at ${Math.round(scale * 100)}% size`
+    );
+  }, [mapRef, startGesture, transformOverlay]);
+
+  const rotate = useCallback((overlay, direction, degrees) => {
+    const rotation = (overlay.rotation || 0) + (direction * degrees * Math.PI) / 180;
+    startGesture();
+    transformOverlay(overlay.id, { rotation });
+    setAnnouncement(`${overlay.name} rotated to ${toDegrees(rotation)}°`);
+  }, [startGesture, transformOverlay]);
+
+  // Select the next or previous overlay. Returns false past either end.
+  const cycle = useCallback((backwards) => {
+    const index = overlays.findIndex(o => o.id === selectedOverlayId);
+    const next = index === -1
+      ? (backwards ? overlays.length - 1 : 0)
+      : index + (backwards ? -1 : 1);
+    const overlay = overlays[next];
+    if (!overlay) return false;
+
+    selectOverlay(overlay.id);
+    if (editModeId && editModeId !== overlay.id) setEditModeId(null);
+    setAnnouncement(`${overlay.name} selected, ${next + 1} of ${overlays.length}. Press Enter to edit.`);
+    return true;
+  }, [overlays, selectedOverlayId, editModeId, selectOverlay, setEditModeId]);
+
+  const handleKeyDown = useCallback((e, { cycleWithTab }) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (e.key === 'Tab') {
+      if (cycleWithTab && cycle(e.shiftKey)) {
+        e.preventDefault();
+      }
+      return;
+    }
+
+    const overlay = overlays.find(o => o.id === selectedOverlayId);
+    if (!overlay) return;
+    const isEditing = overlay.id === editModeId;
+    let handled = true;
+
+    if (e.key === 'Enter') {
+      setEditModeId(isEditing ? null : overlay.id);
+      setAnnouncement(isEditing
+        ? `Finished editing ${overlay.name}`
+        : `Editing ${overlay.name}. Arrow keys move it, [ and ] rotate it, Enter finishes.`);
+    } else if (e.key === 'Escape' && isEditing) {
+      setEditModeId(null);
+      setAnnouncement(`Finished editing ${overlay.name}`);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      removeOverlay(overlay.id);
+      setAnnouncement(`${overlay.name} removed`);
+    } else if (isEditing && ARROWS[e.key]) {
+      nudge(overlay, ARROWS[e.key], e.shiftKey ? LARGE_NUDGE_PX : NUDGE_PX);
+    } else if (isEditing && ROTATE_KEYS[e.key]) {
+      rotate(overlay, ROTATE_KEYS[e.key], e.shiftKey ? LARGE_ROTATE_DEG : ROTATE_DEG);
+    } else {
+      handled = false;
+    }
+
+    // Keep Leaflet from also panning the map or the page from scrolling
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }, [overlays, selectedOverlayId, editModeId, setEditModeId, removeOverlay, nudge, rotate, cycle]);
+
+  // Keys typed into the map's own controls are left alone
+  const handleMapKeyDown = useCallback((e) => {
+    if (e.target !== mapRef.current?.getContainer()) return;
+    handleKeyDown(e, { cycleWithTab: true });
+  }, [mapRef, handleKeyDown]);
+
+  // For overlay list items; keys pressed on their buttons are left alone
+  const handleItemKeyDown = useCallback((e) => {
+    if (e.target !== e.currentTarget) return;
+    handleKeyDown(e, { cycleWithTab: false });
+  }, [handleKeyDown]);
+
+  return {
+    handleMapKeyDown,
+    handleItemKeyDown,
+    handleKeyUp: finishGesture,
+    handleBlur: finishGesture,
+    announcement
+  };
+}
@@ -0,0 +1,75 @@
+import { useState, useCallback, useEffect } from 'react';
+import { loadSavedComparisons, storeSavedComparisons } from '../utils/comparisonStorage';
+import { resolveComparison } from '../utils/comparisonState';
+
+function createComparisonId() {
+  return `cmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Named comparisons saved in local storage
+export function useSavedComparisons({ mapRef, getStateByCode, loadChildrenFor, restoreOverlays }) {
+  const [comparisons, setComparisons] = useState(loadSavedComparisons);
+
+  // Updaters stay pure (React may call them twice); storage is written
+  // once the change has been applied
+  useEffect(() => {
+    storeSavedComparisons(comparisons);
+  }, [comparisons]);
+
+  const saveComparison = useCallback((name, state) => {
+    const now = Date.now();
+    const comparison = { id: createComparisonId(), name, createdAt: now, updatedAt: now, state };
+    setComparisons(prev => [comparison, ...prev]);
+    return comparison.id;
+  }, []);
+
+  const renameComparison = useCallback((id, name) => {
+    setComparisons(prev => prev.map(c =>
+      c.id === id ? { ...c, name, updatedAt: Date.now() } : c
+    ));
+  }, []);
+
+  const duplicateComparison = useCallback((id) => {
+    setComparisons(prev => {
+      const index = prev.findIndex(c => c.id === id);
+      if (index === -1) return prev;
+      const now = Date.now();
+      const copy = {
+        ...prev[index],
+        id: createComparisonId(),
+        name: `${prev[index].name} (copy)`,
+        createdAt: now,
+        updatedAt: now
+      };
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+  }, []);
+
+  const deleteComparison = useCallback((id) => {
+    setComparisons(prev => prev.filter(c => c.id !== id));
+  }, []);
+
+  // Replace the current overlays with a saved comparison, loading any
+  // second-level divisions it uses first, and return the map to the view it
+  // was saved with. Resolves to the references that no loaded dataset could
+  // resolve.
+  const loadComparison = useCallback(async (id) => {
+    const comparison = comparisons.find(c => c.id === id);
+    if (!comparison) return [];
+    const lookup = loadChildrenFor ? await loadChildrenFor(comparison.state.overlays) : getStateByCode;
+    const { entries, selectedIndex, missing } = resolveComparison(comparison.state, lookup);
+    restoreOverlays(entries, selectedIndex);
+    const { view } = comparison.state;
+    if (view) mapRef.current?.setView(view.center, view.zoom);
+    return missing;
+  }, [comparisons, mapRef, getStateByCode, loadChildrenFor, restoreOverlays]);
+
+  return {
+    comparisons,
+    saveComparison,
+    renameComparison,
+    duplicateComparison,
+    deleteComparison,
+    loadComparison
+  };
+}
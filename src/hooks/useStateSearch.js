@@ -1,88 +1,261 @@
-import { useState, useMemo, useCallback, useEffect } from 'react';
-import { loadAllStates } from '../data/stateLoader';
+import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { loadDatasetWithRetry, loadChildDivisions } from '../data/stateLoader';
+import { DATASETS, USER_DATASET, getDataset, getParentCode } from '../data/datasets/index.js';
+import { getReferenceFeature } from '../data/referenceShapes.js';
+import { parseAreaQuery, findByAreaRange, findSimilarInArea } from '../utils/areaQuery';
+import { buildSearchTerms, searchFeatures, groupByDataset } from '../utils/fuzzySearch';
 
-export function useStateSearch() {
+// Add the terms that search matches against to each feature
+function indexFeatures(features) {
+  return features.map(f => ({ ...f, searchTerms: buildSearchTerms(f) }));
+}
+
+// Results shown per country before the rest are left to a narrower search
+const MAX_RESULTS_PER_GROUP = 50;
+
+// Maximum number of retries after the first failed attempt
+const MAX_RETRIES = 2;
+
+// Searches every registered dataset plus the user's imported features.
+// Session restores wait for both, so userFeaturesLoaded counts as a dataset.
+// Second-level divisions (counties, districts, ...) join the search once
+// their region has been expanded.
+export function useStateSearch({ userFeatures = [], userFeaturesLoaded = true } = {}) {
   const [searchQuery, setSearchQuery] = useState('');
-  const [allStates, setAllStates] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  
-  // Load states on mount
+  // Dataset ids to search; empty searches every dataset
+  const [countryFilter, setCountryFilter] = useState([]);
+  const [featuresByDataset, setFeaturesByDataset] = useState({});
+  // Per-dataset load status: { status: 'loading' | 'loaded' | 'failed', attempt, error, count }
+  const [datasetStatus, setDatasetStatus] = useState(() => Object.fromEntries(
+    DATASETS.map(d => [d.id, { status: 'loading', attempt: 1, error: null, count: 0 }])
+  ));
+  // Second-level divisions by region code, and each region's load status:
+  // { status: 'loading' | 'loaded' | 'failed', name, dataset, error, count }
+  const [childFeatures, setChildFeatures] = useState({});
+  const [childStatus, setChildStatus] = useState({});
+  const mountedRef = useRef(true);
+
+  const setStatus = useCallback((id, status) => {
+    if (!mountedRef.current) return;
+    setDatasetStatus(prev => ({ ...prev, [id]: status }));
+  }, []);
+
+  const fetchDataset = useCallback(async (dataset) => {
+    try {
+      const collection = await loadDatasetWithRetry(dataset, {
+        retries: MAX_RETRIES,
+        onRetry: (attempt, error) => setStatus(dataset.id, {
+          status: 'loading', attempt, error: error.message, count: 0
+        })
+      });
+      if (!mountedRef.current) return;
+      setFeaturesByDataset(prev => ({ ...prev, [dataset.id]: indexFeatures(collection.features) }));
+      setStatus(dataset.id, {
+        status: 'loaded', attempt: 1, error: null, count: collection.features.length
+      });
+    } catch (error) {
+      console.error(`Failed to load ${dataset.label}:`, error);
+      setStatus(dataset.id, {
+        status: 'failed', attempt: MAX_RETRIES + 1, error: error.message, count: 0
+      });
+    }
+  }, [setStatus]);
+
+  // Load every registered dataset on mount. Each one loads independently,
+  // so a slow or failing source doesn't hold back the others.
   useEffect(() => {
-    let mounted = true;
-    
-    async function loadStates() {
-      setIsLoading(true);
-      try {
-        const data = await loadAllStates();
-        if (mounted) {
-          const countryNames = {
-            'US': 'USA United States',
-            'IN': 'India',
-            'PK': 'Pakistan',
-            'CN': 'China',
-            'CA': 'Canada'
-          };
-          
-          const states = data.features.map(f => ({
-            ...f,
-            searchKey: `${f.properties.name} ${f.properties.code} ${
-              countryNames[f.properties.country] || ''
-            } `.toLowerCase()
-          })).sort((a, b) => a.properties.name.localeCompare(b.properties.name));
-          setAllStates(states);
-        }
-      } catch (error) {
-        console.error('Failed to load states:', error);
-      } finally {
-        if (mounted) setIsLoading(false);
+    mountedRef.current = true;
+    DATASETS.forEach(fetchDataset);
+    return () => { mountedRef.current = false; };
+  }, [fetchDataset]);
+
+  const retryDataset = useCallback((id) => {
+    const dataset = getDataset(id);
+    if (!dataset) return;
+    setStatus(id, { status: 'loading', attempt: 1, error: null, count: 0 });
+    fetchDataset(dataset);
+  }, [fetchDataset, setStatus]);
+
+  const importedFeatures = useMemo(() => (
+    indexFeatures(userFeatures)
+      .sort((a, b) => a.properties.name.localeCompare(b.properties.name))
+  ), [userFeatures]);
+
+  const allStates = useMemo(() => (
+    [
+      ...DATASETS.flatMap(d => featuresByDataset[d.id] || []),
+      ...Object.values(childFeatures).flat(),
+      ...importedFeatures
+    ].sort((a, b) => a.properties.name.localeCompare(b.properties.name))
+  ), [featuresByDataset, childFeatures, importedFeatures]);
+
+  // Search is usable as soon as any dataset has loaded
+  const datasetsSettled = userFeaturesLoaded
+    && Object.values(datasetStatus).every(s => s.status !== 'loading');
+  const isLoading = allStates.length === 0 && !datasetsSettled;
+
+  // Datasets with loaded features, in registry order, for the filter chips
+  const searchableDatasets = useMemo(() => {
+    const loaded = new Set(allStates.map(state => state.properties.dataset));
+    return [...DATASETS, USER_DATASET].filter(d => loaded.has(d.id));
+  }, [allStates]);
+
+  const candidates = useMemo(() => (
+    countryFilter.length === 0
+      ? allStates
+      : allStates.filter(state => countryFilter.includes(state.properties.dataset))
+  ), [allStates, countryFilter]);
+
+  // Text results grouped by country, best matching country first
+  const searchGroups = useMemo(() => (
+    searchQuery.trim() && !parseAreaQuery(searchQuery)
+      ? groupByDataset(searchFeatures(candidates, searchQuery), MAX_RESULTS_PER_GROUP)
+      : []
+  ), [searchQuery, candidates]);
+
+  // Canonical codes (ISO 3166-2, and namespaced country codes like 'WORLD-CA')
+  // are unique across datasets. Alternate codes (FIPS, former ISO codes, bare
+  // country codes, ...) are only unique within a country.
+  const codeIndex = useMemo(() => {
+    const byCode = new Map();
+    const byAltCode = new Map();
+    allStates.forEach(state => {
+      const { code, altCodes = [], country } = state.properties;
+      byCode.set(code.toUpperCase(), state);
+      altCodes.forEach(alt => {
+        const key = `${country}:${alt.toUpperCase()}`;
+        if (!byAltCode.has(key)) byAltCode.set(key, state);
+      });
+    });
+    return { byCode, byAltCode };
+  }, [allStates]);
+
+  // Resolve a feature by its ISO 3166-2 code, or by an alternate code. The
+  // country comes from the argument or the code's prefix, so 'TX' or '48'
+  // with 'US' find Texas and a former code like 'IN-OR' finds Odisha.
+  // Reference shape codes are built on demand.
+  const getStateByCode = useCallback((code, country) => {
+    if (!code) return null;
+    const key = String(code).toUpperCase();
+    const altCountry = country || (key.includes('-') ? key.split('-')[0] : null);
+    return codeIndex.byCode.get(key)
+      || (altCountry && codeIndex.byAltCode.get(`${altCountry}:${key}`))
+      || getReferenceFeature(key);
+  }, [codeIndex]);
+
+  // Load a region's second-level divisions. Resolves to the divisions, or to
+  // an empty list when they fail to load (the failure is kept in childStatus).
+  const loadChildren = useCallback(async (parent) => {
+    const { code, name, dataset } = parent.properties;
+    const setChildLoad = (status) => {
+      if (!mountedRef.current) return;
+      setChildStatus(prev => ({ ...prev, [code]: { name, dataset, error: null, count: 0, ...status } }));
+    };
+
+    setChildLoad({ status: 'loading' });
+    try {
+      const features = indexFeatures(await loadChildDivisions(parent));
+      if (mountedRef.current) {
+        setChildFeatures(prev => ({ ...prev, [code]: features }));
       }
+      setChildLoad({ status: 'loaded', count: features.length });
+      return features;
+    } catch (error) {
+      console.error(`Failed to load the divisions of ${name}:`, error);
+      setChildLoad({ status: 'failed', error: error.message });
+      return [];
     }
-    
-    loadStates();
-    return () => { mounted = false; };
   }, []);
 
-  const searchResults = useMemo(() => {
-    if (!searchQuery.trim() || allStates.length === 0) {
-      return [];
+  // Drill into a region: search for it, which lists it along with its
+  // divisions once they have loaded
+  const expandChildren = useCallback((parent) => {
+    setSearchQuery(parent.properties.name);
+    const status = childStatus[parent.properties.code]?.status;
+    if (status !== 'loaded' && status !== 'loading') loadChildren(parent);
+  }, [childStatus, loadChildren]);
+
+  const retryChildren = useCallback((code) => {
+    const parent = getStateByCode(code);
+    if (parent) loadChildren(parent);
+  }, [getStateByCode, loadChildren]);
+
+  // Load the divisions that overlay references point to, for restoring a
+  // comparison. Resolves to a lookup like getStateByCode that also finds
+  // the divisions just loaded.
+  const loadChildrenFor = useCallback(async (refs) => {
+    const parentCodes = [...new Set(refs.map(ref => getParentCode(ref.code)).filter(Boolean))];
+    const loaded = await Promise.all(parentCodes.map(code => {
+      const parent = getStateByCode(code);
+      return parent ? loadChildren(parent) : [];
+    }));
+    const byCode = new Map(loaded.flat().map(f => [f.properties.code, f]));
+    return (code, country) => getStateByCode(code, country) || byCode.get(String(code).toUpperCase()) || null;
+  }, [getStateByCode, loadChildren]);
+
+  // A feature named in an area query: a code, an exact name, or failing
+  // that the first name that starts with the text
+  const findTarget = useCallback((text) => {
+    const lower = text.toLowerCase();
+    return getStateByCode(text)
+      || allStates.find(state => state.properties.name.toLowerCase() === lower)
+      || allStates.find(state => state.properties.name.toLowerCase().startsWith(lower))
+      || null;
+  }, [getStateByCode, allStates]);
+
+  // Size queries ("100k-200k km²", "closest to Kerala") replace the text
+  // search. The parsed query and the resolved target are returned so the
+  // results can be labelled.
+  const areaSearch = useMemo(() => {
+    const query = parseAreaQuery(searchQuery);
+    if (!query) return null;
+    if (query.type === 'range') {
+      return { ...query, results: findByAreaRange(candidates, query.min, query.max) };
     }
-    
-    const query = searchQuery.toLowerCase().trim();
-    const results = allStates.filter(state => 
-      state.searchKey.includes(query)
-    );
-    
-    // Sort by relevance - exact matches first, then starts with, then contains
-    return results.sort((a, b) => {
-      const aName = a.properties.name.toLowerCase();
-      const bName = b.properties.name.toLowerCase();
-      
-      const aExact = aName === query;
-      const bExact = bName === query;
-      if (aExact && !bExact) return -1;
-      if (bExact && !aExact) return 1;
-      
-      const aStarts = aName.startsWith(query);
-      const bStarts = bName.startsWith(query);
-      if (aStarts && !bStarts) return -1;
-      if (bStarts && !aStarts) return 1;
-      
-      return aName.localeCompare(bName);
-    }).slice(0, 10); // Limit to 10 results
-  }, [searchQuery, allStates]);
+    const target = query.target ? findTarget(query.target) : null;
+    const area = target ? target.properties.area_km2 : query.area;
+    return {
+      type: query.type,
+      targetText: query.target ?? null,
+      target,
+      area: area ?? null,
+      results: findSimilarInArea(candidates, area, { excludeCode: target?.properties.code })
+    };
+  }, [searchQuery, candidates, findTarget]);
 
-  const getStateByCode = useCallback((code, country) => {
-    return allStates.find(s => 
-      s.properties.code === code && s.properties.country === country
-    );
+  const searchResults = useMemo(() => (
+    areaSearch ? areaSearch.results : searchGroups.flatMap(group => group.results)
+  ), [areaSearch, searchGroups]);
+
+  // Search for features close in size to a feature or overlay. Names that
+  // aren't unique, or aren't in the search index, are searched by code.
+  const searchSimilarTo = useCallback(({ name, code }) => {
+    const lower = name.toLowerCase();
+    const sameName = allStates.filter(state => state.properties.name.toLowerCase() === lower);
+    const unique = sameName.length === 1 && sameName[0].properties.code === code;
+    setSearchQuery(`similar to ${unique ? name : code}`);
   }, [allStates]);
 
   return {
     searchQuery,
     setSearchQuery,
     searchResults,
+    searchGroups,
+    areaSearch,
+    searchableDatasets,
+    countryFilter,
+    setCountryFilter,
+    searchSimilarTo,
+    expandChildren,
+    childStatus,
+    retryChildren,
+    loadChildrenFor,
     allStates,
+    importedFeatures,
     getStateByCode,
-    isLoading
+    isLoading,
+    datasetsSettled,
+    datasetStatus,
+    retryDataset
   };
 }
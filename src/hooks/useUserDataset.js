@@ -0,0 +1,31 @@
+import { useState, useCallback, useEffect } from 'react';
+import { loadUserFeatures, storeUserFeatures, deleteUserFeature } from '../utils/userFeatureStore';
+
+// Features imported from the user's own files, persisted in IndexedDB
+export function useUserDataset() {
+  const [userFeatures, setUserFeatures] = useState([]);
+  const [userFeaturesLoaded, setUserFeaturesLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadUserFeatures().then(stored => {
+      if (cancelled) return;
+      // Keep anything imported while the store was still opening
+      setUserFeatures(prev => [...stored, ...prev]);
+      setUserFeaturesLoaded(true);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const addUserFeatures = useCallback((features) => {
+    setUserFeatures(prev => [...prev, ...features]);
+    storeUserFeatures(features);
+  }, []);
+
+  const removeUserFeature = useCallback((code) => {
+    setUserFeatures(prev => prev.filter(f => f.properties.code !== code));
+    deleteUserFeature(code);
+  }, []);
+
+  return { userFeatures, userFeaturesLoaded, addUserFeatures, removeUserFeature };
+}
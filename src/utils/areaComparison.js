@@ -0,0 +1,40 @@
+// Relative sizes of overlays: rankings, ratios and percentage differences.
+// Areas are geodesic km², so comparisons hold across countries and datasets.
+
+// Overlays ordered from largest to smallest area
+export function rankByArea(overlays) {
+  return [...overlays].sort((a, b) => b.area_km2 - a.area_km2);
+}
+
+// How a compares to b: a is `ratio` times b, and `percent` larger (or, if
+// negative, smaller) than b
+export function compareAreas(a, b) {
+  if (!(b > 0)) return null;
+  return { ratio: a / b, percent: ((a - b) / b) * 100 };
+}
+
+// Every pair of overlays, larger first, ordered from the largest ratio down
+export function getPairwiseComparisons(overlays) {
+  const ranked = rankByArea(overlays);
+  const pairs = [];
+  ranked.forEach((larger, i) => {
+    ranked.slice(i + 1).forEach(smaller => {
+      const comparison = compareAreas(larger.area_km2, smaller.area_km2);
+      if (comparison) pairs.push({ larger, smaller, ...comparison });
+    });
+  });
+  return pairs.sort((a, b) => b.ratio - a.ratio);
+}
+
+// "2.1×", "12×", "1,340×"
+export function formatRatio(ratio) {
+  if (ratio >= 10) return `${Math.round(ratio).toLocaleString()}×`;
+  return `${ratio.toFixed(ratio < 1.1 ? 2 : 1)}×`;
+}
+
+// "110% larger", "35% smaller", "same size"
+export function formatPercentDifference(percent) {
+  const rounded = Math.abs(percent) < 10 ? Number(Math.abs(percent).toFixed(1)) : Math.round(Math.abs(percent));
+  if (rounded === 0) return 'same size';
+  return `${rounded.toLocaleString()}% ${percent > 0 ? 'larger' : 'smaller'}`;
+}
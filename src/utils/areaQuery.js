@@ -0,0 +1,91 @@
+// Searching by size: parses queries such as "between 100k and 200k km²",
+// "over 50,000 sq mi", "around 1m km²" or "closest to Kerala", and ranks
+// features against them.
+import { compareAreas } from './areaComparison';
+
+const KM2_PER_MI2 = 2.589988;
+
+// Most results returned for a "closest in area" query. Range queries list
+// every match, since their heading promises the whole range.
+export const AREA_RESULT_LIMIT = 25;
+
+const NUMBER = String.raw`(\d[\d,]*(?:\.\d+)?)\s*(k|m|thousand|million)?`;
+const UNIT = String.raw`(km²|km2|sq\.?\s*km|square\s+kilomet(?:er|re)s?|mi²|mi2|sq\.?\s*mi(?:les?)?|square\s+miles?)?`;
+const VALUE = `${NUMBER}\\s*${UNIT}`;
+
+const RANGE_PATTERN = new RegExp(`^(between\\s+)?${VALUE}\\s*(?:-|–|to|and)\\s*${VALUE}$`);
+const MIN_PATTERN = new RegExp(`^(?:over|above|more than|larger than|bigger than|at least|>=?)\\s*${VALUE}$`);
+const MAX_PATTERN = new RegExp(`^(?:under|below|less than|smaller than|at most|<=?)\\s*${VALUE}$`);
+const APPROX_PATTERN = new RegExp(`^(about|around|approx(?:imately)?|roughly|~|≈)?\\s*${VALUE}$`);
+const SIMILAR_PATTERN = /^(?:closest\s+(?:in\s+(?:area|size)\s+)?to|similar\s+(?:in\s+size\s+)?to|same\s+size\s+as|as\s+big\s+as|size\s+of)\s+(.+)$/;
+// Leading words that don't change the query: "states between ..."
+const FILLER_PATTERN = /^(?:(?:show|find|list)\s+)?(?:all\s+)?(?:states?|regions?|provinces?|places?|areas?)\s+(?:that\s+are\s+|with\s+(?:an?\s+)?area\s+)?/;
+
+// Area in km² from the captured number, multiplier and unit
+function toKm2(number, multiplier, unit) {
+  let value = Number(number.replace(/,/g, ''));
+  if (multiplier === 'k' || multiplier === 'thousand') value *= 1e3;
+  if (multiplier === 'm' || multiplier === 'million') value *= 1e6;
+  return unit && /mi/.test(unit) ? value * KM2_PER_MI2 : value;
+}
+
+// Parse a search query as an area query. Returns one of
+//   { type: 'range', min, max }   bounds in km², either may be null
+//   { type: 'similar', area }     closest in area to a figure in km²
+//   { type: 'similar', target }   closest in area to a named feature
+// or null for an ordinary text search. Bare numbers stay text searches
+// so numeric codes (FIPS '48') keep working: a figure needs a unit, a k/m
+// multiplier or a keyword.
+export function parseAreaQuery(text) {
+  const query = text.toLowerCase().trim().replace(/\s+/g, ' ').replace(FILLER_PATTERN, '');
+  let match;
+
+  if ((match = query.match(SIMILAR_PATTERN))) {
+    return { type: 'similar', target: match[1].trim() };
+  }
+
+  if ((match = query.match(RANGE_PATTERN))) {
+    const [, between, n1, m1, u1, n2, m2, u2] = match;
+    if (!between && !m1 && !m2 && !u1 && !u2) return null;
+    // "100-200k km²": a unit or multiplier on one bound applies to both
+    const a = toKm2(n1, m1 || m2, u1 || u2);
+    const b = toKm2(n2, m2, u2 || u1);
+    return { type: 'range', min: Math.min(a, b), max: Math.max(a, b) };
+  }
+
+  if ((match = query.match(MIN_PATTERN))) {
+    return { type: 'range', min: toKm2(match[1], match[2], match[3]), max: null };
+  }
+
+  if ((match = query.match(MAX_PATTERN))) {
+    return { type: 'range', min: null, max: toKm2(match[1], match[2], match[3]) };
+  }
+
+  if ((match = query.match(APPROX_PATTERN))) {
+    const [, keyword, number, multiplier, unit] = match;
+    if (!keyword && !multiplier && !unit) return null;
+    return { type: 'similar', area: toKm2(number, multiplier, unit) };
+  }
+
+  return null;
+}
+
+// Features whose area lies within [min, max], largest first
+export function findByAreaRange(features, min, max) {
+  return features
+    .filter(f => (min === null || f.properties.area_km2 >= min) && (max === null || f.properties.area_km2 <= max))
+    .sort((a, b) => b.properties.area_km2 - a.properties.area_km2);
+}
+
+// Features closest in area to a figure in km², each with its percentage
+// difference from it. Closeness is measured by ratio, so a region half the
+// size ranks the same as one twice the size.
+export function findSimilarInArea(features, area, { excludeCode } = {}) {
+  if (!(area > 0)) return [];
+  return features
+    .filter(f => f.properties.code !== excludeCode && f.properties.area_km2 > 0)
+    .map(f => ({ feature: f, distance: Math.abs(Math.log(f.properties.area_km2 / area)) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, AREA_RESULT_LIMIT)
+    .map(({ feature }) => ({ ...feature, areaDifference: compareAreas(feature.properties.area_km2, area).percent }));
+}
@@ -0,0 +1,9 @@
+// OpenStreetMap basemap, shared by the map and the image export
+export const BASEMAP = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+  // Plain-text attribution drawn onto exported images
+  exportAttribution: '© OpenStreetMap contributors',
+  subdomains: 'abc',
+  maxZoom: 19
+};
@@ -22,10 +22,6 @@ export function getNextColor() {
   return color;
 }
 
-export function resetColorIndex() {
-  colorIndex = 0;
-}
-
 export function hexToRgba(hex, alpha = 0.5) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
   if (!result) return `rgba(0, 0, 0, ${alpha})`;
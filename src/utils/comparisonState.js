@@ -0,0 +1,49 @@
+// A comparison as plain data: overlay references plus selection and view.
+// Shared links, the autosaved session and saved comparisons all use this
+// shape. Overlays are stored as dataset references and transforms, never as
+// geometry, so records stay small and survive dataset updates. Temporary
+// overlays (packed "How many fit?" copies) are left out.
+//
+//   {
+//     overlays: [{ code, country, offset: [dLng, dLat], rotation, color }],
+//     selectedIndex: number | null,
+//     view: { center: [lat, lng], zoom } | null
+//   }
+
+export function toOverlayReference(overlay) {
+  return {
+    code: overlay.code,
+    country: overlay.country,
+    offset: [...overlay.offset],
+    rotation: overlay.rotation || 0,
+    color: overlay.color
+  };
+}
+
+export function toComparisonState({ overlays, selectedOverlayId = null, view = null }) {
+  const kept = overlays.filter(o => !o.temporary);
+  const selectedIndex = kept.findIndex(o => o.id === selectedOverlayId);
+  return {
+    overlays: kept.map(toOverlayReference),
+    selectedIndex: selectedIndex === -1 ? null : selectedIndex,
+    view
+  };
+}
+
+// Resolve overlay references against the loaded datasets. Returns the
+// entries restoreOverlays expects, the selection remapped to those entries,
+// and the references that could not be found.
+export function resolveComparison(state, getStateByCode) {
+  const resolved = state.overlays.map(ref => ({
+    ...ref,
+    feature: getStateByCode(ref.code, ref.country)
+  }));
+  const entries = resolved.filter(entry => entry.feature);
+  const selected = resolved[state.selectedIndex];
+
+  return {
+    entries,
+    selectedIndex: selected?.feature ? entries.indexOf(selected) : null,
+    missing: resolved.filter(entry => !entry.feature)
+  };
+}
@@ -0,0 +1,41 @@
+// Local persistence for the current session and named saved comparisons.
+// Records hold comparison states (see comparisonState.js), not geometry.
+
+const SESSION_KEY = 'howbigisit.session';
+const SAVED_KEY = 'howbigisit.savedComparisons';
+
+function read(key, fallback) {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Failed to read ${key}:`, error);
+    return fallback;
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage may be full or disabled (private browsing)
+    console.error(`Failed to write ${key}:`, error);
+  }
+}
+
+export function loadSession() {
+  return read(SESSION_KEY, null);
+}
+
+export function saveSession(state) {
+  write(SESSION_KEY, state);
+}
+
+// Saved comparisons: [{ id, name, createdAt, updatedAt, state }]
+export function loadSavedComparisons() {
+  return read(SAVED_KEY, []);
+}
+
+export function storeSavedComparisons(comparisons) {
+  write(SAVED_KEY, comparisons);
+}
@@ -0,0 +1,56 @@
+// Rings for shapes drawn on the map. Straight edges on the Web Mercator map
+// are densified so the geodesic area matches the outline the user sees;
+// circles are true geodesic circles.
+import { destinationPoint, toDegrees, toRadians } from './sphericalGeometry.js';
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85;
+// Longest edge (in degrees) left between densified vertices
+const MAX_EDGE_DEGREES = 0.25;
+const CIRCLE_SEGMENTS = 128;
+
+export const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+const toMercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2));
+const fromMercatorY = (y) => toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2);
+
+// Close a ring of [lng, lat] points, adding vertices along each edge so it
+// follows the straight line drawn on the Mercator map
+export function densifyRing(points) {
+  const ring = [];
+  points.forEach((a, index) => {
+    const b = points[(index + 1) % points.length];
+    const steps = Math.max(1, Math.ceil(
+      Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1])) / MAX_EDGE_DEGREES
+    ));
+    const ya = toMercatorY(a[1]);
+    const yb = toMercatorY(b[1]);
+    for (let i = 0; i < steps; i++) {
+      const t = i / steps;
+      ring.push([a[0] + t * (b[0] - a[0]), fromMercatorY(ya + t * (yb - ya))]);
+    }
+  });
+  ring.push([...ring[0]]);
+  return ring;
+}
+
+// Axis-aligned rectangle between two opposite corners
+export function rectangleRing(a, b) {
+  return densifyRing([
+    [a[0], a[1]],
+    [b[0], a[1]],
+    [b[0], b[1]],
+    [a[0], b[1]]
+  ]);
+}
+
+// Geodesic circle: every vertex is radiusKm from the center
+export function circleRing(center, radiusKm) {
+  const ring = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const [lng, lat] = destinationPoint(center, radiusKm, (2 * Math.PI * i) / CIRCLE_SEGMENTS);
+    ring.push([lng, clampLatitude(lat)]);
+  }
+  ring.push([...ring[0]]);
+  return ring;
+}
@@ -0,0 +1,154 @@
+// Typo-tolerant, alias-aware text search over features. Text is folded
+// (case, diacritics, punctuation) before matching, so "Québec" finds Quebec
+// and "tamilnadu" finds Tamil Nadu. Each feature is matched on its name,
+// its aliases, its codes and its dataset's search terms, and results say
+// which of these matched.
+import { getDataset } from '../data/datasets/index.js';
+
+// Lowercase, strip diacritics and turn punctuation into spaces
+export function foldText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Score lost by each kind of term, so a name beats an alias that matches
+// equally well, and a country name ranks below any direct match
+const KIND_PENALTY = { name: 0, alias: 4, code: 6, country: 40 };
+
+function createTerm(text, kind) {
+  const folded = foldText(text);
+  return { text: String(text), kind, folded, compact: folded.replace(/ /g, ''), words: folded.split(' ') };
+}
+
+// Everything a feature can be found by: its name, aliases from the dataset's
+// alias table, source spellings the dataset renames (former and
+// native-script names), its codes and the dataset's search terms
+export function buildSearchTerms(feature) {
+  const { name, code, altCodes = [], dataset: datasetId } = feature.properties;
+  const dataset = getDataset(datasetId);
+  const sourceNames = Object.entries(dataset?.names || {})
+    .filter(([, displayName]) => displayName === name)
+    .map(([sourceName]) => sourceName);
+
+  const terms = [
+    createTerm(name, 'name'),
+    ...[...(dataset?.aliases?.[name] || []), ...sourceNames].map(alias => createTerm(alias, 'alias')),
+    ...[code, ...altCodes].map(c => createTerm(c, 'code')),
+    ...(dataset?.searchTerms || []).map(term => createTerm(term, 'country'))
+  ];
+
+  // Keep the first (highest priority) term for each folded text
+  const seen = new Set();
+  return terms.filter(term => {
+    if (!term.folded || seen.has(term.folded)) return false;
+    seen.add(term.folded);
+    return true;
+  });
+}
+
+// Optimal string alignment distance (edits plus adjacent transpositions),
+// giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query of a given length
+const allowedTypos = (length) => (length < 4 ? 0 : length < 7 ? 1 : 2);
+
+// How well a folded query matches one term, or 0 if it doesn't
+function scoreTerm(query, term) {
+  const compactQuery = query.replace(/ /g, '');
+  let score = 0;
+  if (term.folded === query) score = 100;
+  else if (term.compact === compactQuery) score = 96;
+  else if (term.folded.startsWith(query) || term.compact.startsWith(compactQuery)) score = 85;
+  else if (term.words.some(word => word.startsWith(query))) score = 75;
+  else if (query.length >= 2 && term.compact.includes(compactQuery)) score = 65;
+  else if (term.kind === 'name' || term.kind === 'alias') {
+    // Codes and country names are short, so typos there only add noise
+    const max = allowedTypos(compactQuery.length);
+    if (max > 0) {
+      const whole = Math.min(
+        editDistance(compactQuery, term.compact, max),
+        ...term.words.map(word => editDistance(query, word, max))
+      );
+      // A misspelled prefix of a longer name, while the user is still typing
+      const prefix = editDistance(compactQuery, term.compact.slice(0, compactQuery.length), max);
+      if (whole <= max) score = 55 - 10 * whole;
+      else if (prefix <= max) score = 50 - 10 * prefix;
+    }
+  }
+  return score > 0 ? score - KIND_PENALTY[term.kind] : 0;
+}
+
+// Rank features against a query. Each result is the feature plus its score
+// and, when it wasn't found by its name, the alias or code that matched
+// ({ kind, text }). Features need `searchTerms` from buildSearchTerms.
+export function searchFeatures(features, text) {
+  const query = foldText(text);
+  if (!query) return [];
+
+  const results = [];
+  features.forEach(feature => {
+    let best = null;
+    let bestScore = 0;
+    feature.searchTerms.forEach(term => {
+      const score = scoreTerm(query, term);
+      if (score > bestScore) {
+        best = term;
+        bestScore = score;
+      }
+    });
+    if (best) {
+      const match = best.kind === 'alias' || best.kind === 'code' ? { kind: best.kind, text: best.text } : null;
+      results.push({ ...feature, score: bestScore, match });
+    }
+  });
+
+  return results.sort((a, b) =>
+    b.score - a.score || a.properties.name.localeCompare(b.properties.name)
+  );
+}
+
+// Group ranked results by dataset, groups ordered by their best match.
+// A region's second-level divisions get a group of their own, with the
+// region as its parent. Each group keeps at most `limit` results and its
+// full count.
+export function groupByDataset(results, limit) {
+  const groups = new Map();
+  results.forEach(result => {
+    const { dataset, parent = null } = result.properties;
+    const key = parent ? parent.code : dataset;
+    if (!groups.has(key)) {
+      groups.set(key, { key, dataset: getDataset(dataset), parent, results: [], total: 0 });
+    }
+    const group = groups.get(key);
+    group.total += 1;
+    if (group.results.length < limit) group.results.push(result);
+  });
+  return [...groups.values()];
+}
@@ -1,21 +1,29 @@
-// Calculate centroid of a polygon
+import {
+  greatCircleRotation,
+  mapPositions,
+  rotateCoordinatesAboutAxis,
+  sphericalCentroid,
+  toVector,
+  unwrapLongitude
+} from './sphericalGeometry.js';
+
+// Calculate the area-weighted centroid of a polygon on the sphere
 export function calculateCentroid(coordinates) {
+  const centroid = sphericalCentroid(coordinates);
+  if (centroid) {
+    const { minLng, maxLng } = getBounds(coordinates);
+    return [unwrapLongitude(centroid[0], (minLng + maxLng) / 2), centroid[1]];
+  }
+
+  // Degenerate shapes with no area fall back to the vertex average
   let totalX = 0;
   let totalY = 0;
   let totalPoints = 0;
-
-  const processCoords = (coords) => {
-    if (typeof coords[0] === 'number') {
-      totalX += coords[0];
-      totalY += coords[1];
-      totalPoints++;
-    } else {
-      coords.forEach(processCoords);
-    }
-  };
-
-  processCoords(coordinates);
-  
+  mapPositions(coordinates, (coords) => {
+    totalX += coords[0];
+    totalY += coords[1];
+    totalPoints++;
+  });
   return [totalX / totalPoints, totalY / totalPoints];
 }
 
@@ -37,28 +45,53 @@ export function translateCoordinates(coordinates, deltaLng, deltaLat) {
   return coordinates.map(coord => translateCoordinates(coord, deltaLng, deltaLat));
 }
 
-// Scale GeoJSON coordinates around a center point
-export function scaleCoordinates(coordinates, centerLng, centerLat, scaleFactor) {
-  if (typeof coordinates[0] === 'number') {
-    const newLng = centerLng + (coordinates[0] - centerLng) * scaleFactor;
-    const newLat = centerLat + (coordinates[1] - centerLat) * scaleFactor;
-    return [newLng, newLat];
+// Rotate GeoJSON coordinates around a center point. The rotation turns about
+// the axis through the center, so the shape is not sheared and keeps its area.
+export function rotateCoordinates(coordinates, centerLng, centerLat, angleRad) {
+  return rotateCoordinatesAboutAxis(coordinates, toVector([centerLng, centerLat]), angleRad, centerLng);
+}
+
+// Carry GeoJSON coordinates along the great circle running from one point to
+// another. Every vertex is rotated about the same axis, so the shape keeps
+// its true size on the globe and the Mercator map shows the real distortion.
+export function moveCoordinatesOnSphere(coordinates, from, to) {
+  const { axis, angle } = greatCircleRotation(from, to);
+  if (angle === 0) {
+    // Same point: only the longitude reference may have changed
+    return translateCoordinates(coordinates, to[0] - from[0], 0);
   }
-  return coordinates.map(coord => scaleCoordinates(coord, centerLng, centerLat, scaleFactor));
+  return rotateCoordinatesAboutAxis(coordinates, axis, angle, to[0]);
 }
 
-// Rotate GeoJSON coordinates around a center point
-export function rotateCoordinates(coordinates, centerLng, centerLat, angleRad) {
-  if (typeof coordinates[0] === 'number') {
-    const dx = coordinates[0] - centerLng;
-    const dy = coordinates[1] - centerLat;
-    const cos = Math.cos(angleRad);
-    const sin = Math.sin(angleRad);
-    const newLng = centerLng + dx * cos - dy * sin;
-    const newLat = centerLat + dx * sin + dy * cos;
-    return [newLng, newLat];
+// Rotate a geometry about its original centroid, then carry it on the sphere
+// so that the original centroid lands on the given centroid
+export function transformGeometry(geometry, originalCentroid, centroid, rotation = 0) {
+  let coords = geometry.coordinates;
+  if (rotation) {
+    coords = rotateCoordinates(coords, originalCentroid[0], originalCentroid[1], rotation);
   }
-  return coordinates.map(coord => rotateCoordinates(coord, centerLng, centerLat, angleRad));
+  coords = moveCoordinatesOnSphere(coords, originalCentroid, centroid);
+  return { ...geometry, coordinates: coords };
+}
+
+// Shift each part of a Polygon or MultiPolygon by whole turns so it lies
+// within 180° of a reference longitude. Sources split shapes at the
+// antimeridian, which would otherwise put parts of Russia or Fiji at
+// opposite edges of the map.
+export function unwrapGeometry(geometry, referenceLng) {
+  const unwrapPolygon = (polygon) => {
+    const outer = polygon[0];
+    const meanLng = outer.reduce((sum, point) => sum + point[0], 0) / outer.length;
+    const shift = unwrapLongitude(meanLng, referenceLng) - meanLng;
+    return shift === 0 ? polygon : translateCoordinates(polygon, shift, 0);
+  };
+  if (geometry.type === 'Polygon') {
+    return { ...geometry, coordinates: unwrapPolygon(geometry.coordinates) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { ...geometry, coordinates: geometry.coordinates.map(unwrapPolygon) };
+  }
+  return geometry;
 }
 
 // Deep clone GeoJSON geometry
@@ -75,6 +108,17 @@ export function formatArea(areaKm2) {
   };
 }
 
+// Computed and official areas may differ by this fraction before we warn.
+// Official figures often include inland water that the boundaries leave out.
+export const AREA_MISMATCH_TOLERANCE = 0.1;
+
+// Relative difference between a computed and an official area, or null
+// when there is no official figure to compare against
+export function getAreaDiscrepancy(areaKm2, officialAreaKm2) {
+  if (!officialAreaKm2) return null;
+  return (areaKm2 - officialAreaKm2) / officialAreaKm2;
+}
+
 // Get bounds of coordinates
 export function getBounds(coordinates) {
   let minLng = Infinity, maxLng = -Infinity;
@@ -0,0 +1,305 @@
+// Export the current map view as a PNG (basemap, overlays and optional
+// labels, legend and scale bar) or the overlays alone as SVG. Positions come
+// from the map's own Web Mercator projection, so exports match the screen.
+import L from 'leaflet';
+import { BASEMAP } from './basemap';
+import { formatArea } from './geoUtils';
+import { getPolygons } from './sphericalGeometry.js';
+import { hexToRgba } from './colorUtils';
+
+const TILE_SIZE = 256;
+const FILL_OPACITY = 0.4;
+const STROKE_WIDTH = 2;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+// Pixel size of an export at a given scale
+export function getExportSize(map, scale = 1) {
+  const size = map.getSize();
+  return { width: Math.round(size.x * scale), height: Math.round(size.y * scale) };
+}
+
+// Project [lng, lat] to pixels relative to the top-left corner of the view
+function createProjector(map) {
+  const zoom = map.getZoom();
+  const origin = map.project(map.getCenter(), zoom).subtract(map.getSize().divideBy(2));
+  return ([lng, lat]) => {
+    const point = map.project([lat, lng], zoom).subtract(origin);
+    return [point.x, point.y];
+  };
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    // OSM serves CORS headers, so tiles don't taint the canvas
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${url}`));
+    image.src = url;
+  });
+}
+
+// Draw the basemap tiles covering the view. Larger exports use more
+// detailed tiles so the basemap stays sharp. Returns the number of tiles
+// that failed to load.
+async function drawBasemap(ctx, map, scale) {
+  const zoom = map.getZoom();
+  const size = map.getSize();
+  const tileZoom = Math.min(BASEMAP.maxZoom, Math.round(zoom + Math.log2(scale)));
+  const zoomScale = 2 ** (tileZoom - zoom);
+  const origin = map.project(map.getCenter(), tileZoom).subtract(size.multiplyBy(zoomScale / 2));
+  const tileCount = 2 ** tileZoom;
+  const toCanvas = (pixel) => Math.round((pixel * scale) / zoomScale);
+
+  const minX = Math.floor(origin.x / TILE_SIZE);
+  const maxX = Math.floor((origin.x + size.x * zoomScale) / TILE_SIZE);
+  const minY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+  const maxY = Math.min(tileCount - 1, Math.floor((origin.y + size.y * zoomScale) / TILE_SIZE));
+
+  const tiles = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const url = L.Util.template(BASEMAP.url, {
+        s: BASEMAP.subdomains[Math.abs(x + y) % BASEMAP.subdomains.length],
+        x: ((x % tileCount) + tileCount) % tileCount,
+        y,
+        z: tileZoom
+      });
+      const left = toCanvas(x * TILE_SIZE - origin.x);
+      const top = toCanvas(y * TILE_SIZE - origin.y);
+      const right = toCanvas((x + 1) * TILE_SIZE - origin.x);
+      const bottom = toCanvas((y + 1) * TILE_SIZE - origin.y);
+      tiles.push(loadImage(url).then(image => {
+        ctx.drawImage(image, left, top, right - left, bottom - top);
+      }));
+    }
+  }
+
+  const results = await Promise.allSettled(tiles);
+  return results.filter(result => result.status === 'rejected').length;
+}
+
+function traceGeometry(ctx, geometry, project) {
+  ctx.beginPath();
+  getPolygons(geometry.coordinates).forEach(polygon => {
+    polygon.forEach(ring => {
+      ring.forEach((point, index) => {
+        const [x, y] = project(point);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+    });
+  });
+}
+
+function drawOverlays(ctx, overlays, project) {
+  ctx.lineJoin = 'round';
+  overlays.forEach(overlay => {
+    traceGeometry(ctx, overlay.geometry, project);
+    ctx.fillStyle = hexToRgba(overlay.color, FILL_OPACITY);
+    ctx.fill('evenodd');
+    ctx.strokeStyle = overlay.color;
+    ctx.lineWidth = STROKE_WIDTH;
+    ctx.stroke();
+  });
+}
+
+// Text with a white halo so it stays readable over the basemap
+function drawHaloText(ctx, text, x, y) {
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = 3;
+  ctx.strokeText(text, x, y);
+  ctx.fillText(text, x, y);
+}
+
+const areaLabel = (overlay) => `${formatArea(overlay.area_km2).km2} km²`;
+
+// Name and area at each overlay's centroid
+function drawLabels(ctx, overlays, project) {
+  ctx.textAlign = 'center';
+  ctx.lineJoin = 'round';
+  ctx.fillStyle = '#222';
+  overlays.forEach(overlay => {
+    const [x, y] = project(overlay.centroid);
+    ctx.font = `600 13px ${FONT}`;
+    drawHaloText(ctx, overlay.name, x, y);
+    ctx.font = `11px ${FONT}`;
+    drawHaloText(ctx, areaLabel(overlay), x, y + 14);
+  });
+}
+
+// Colour key with each overlay's name and area, in the top-left corner
+function drawLegend(ctx, overlays) {
+  const padding = 10;
+  const rowHeight = 18;
+  const swatch = 12;
+  ctx.font = `12px ${FONT}`;
+  const rows = overlays.map(overlay => `${overlay.name} — ${areaLabel(overlay)}`);
+  const textWidth = Math.max(...rows.map(row => ctx.measureText(row).width));
+  const width = padding * 2 + swatch + 8 + textWidth;
+  const height = padding * 2 + rows.length * rowHeight - (rowHeight - swatch);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(padding, padding, width, height);
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  overlays.forEach((overlay, index) => {
+    const top = padding * 2 + index * rowHeight;
+    ctx.fillStyle = hexToRgba(overlay.color, 0.8);
+    ctx.fillRect(padding * 2, top, swatch, swatch);
+    ctx.strokeStyle = overlay.color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(padding * 2, top, swatch, swatch);
+    ctx.fillStyle = '#333';
+    ctx.fillText(rows[index], padding * 2 + swatch + 8, top + swatch / 2);
+  });
+  ctx.textBaseline = 'alphabetic';
+}
+
+// Largest 1, 2 or 5 × 10ⁿ not above a value, as Leaflet's scale control does
+function roundDistance(value) {
+  const pow10 = 10 ** Math.floor(Math.log10(value));
+  const d = value / pow10;
+  return pow10 * (d >= 5 ? 5 : d >= 2 ? 2 : 1);
+}
+
+// Metric and imperial scale bars in the bottom-left corner, measured
+// across the middle of the view like Leaflet's scale control
+function drawScaleBar(ctx, map) {
+  const size = map.getSize();
+  const maxWidth = 120;
+  const y = size.y / 2;
+  const maxMeters = map.distance(
+    map.containerPointToLatLng([0, y]),
+    map.containerPointToLatLng([maxWidth, y])
+  );
+
+  const meters = roundDistance(maxMeters);
+  const miles = roundDistance(maxMeters / 1609.344);
+  const bars = [
+    { width: (maxWidth * meters) / maxMeters, label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m` },
+    { width: (maxWidth * miles * 1609.344) / maxMeters, label: `${miles} mi` }
+  ];
+
+  ctx.font = `11px ${FONT}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  bars.forEach((bar, index) => {
+    const left = 10;
+    const top = size.y - 10 - (bars.length - index) * 20;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(left, top, bar.width, 16);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, top + 16);
+    ctx.lineTo(left + bar.width, top + 16);
+    ctx.lineTo(left + bar.width, top);
+    ctx.stroke();
+    ctx.fillStyle = '#333';
+    ctx.fillText(bar.label, left + 4, top + 8);
+  });
+  ctx.textBaseline = 'alphabetic';
+}
+
+// The OSM licence requires attribution on every rendered image
+function drawAttribution(ctx, map) {
+  const size = map.getSize();
+  ctx.font = `10px ${FONT}`;
+  const text = BASEMAP.exportAttribution;
+  const width = ctx.measureText(text).width + 8;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.fillRect(size.x - width, size.y - 16, width, 16);
+  ctx.fillStyle = '#333';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, size.x - 4, size.y - 8);
+  ctx.textBaseline = 'alphabetic';
+}
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+});
+
+// Render the view to a PNG at `scale` times its on-screen size. Resolves
+// with the image and the number of basemap tiles that couldn't be loaded.
+export async function exportMapAsPng(map, overlays, { scale = 1, labels = true, legend = true, scaleBar = true } = {}) {
+  const { width, height } = getExportSize(map, scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Background shows through wherever a tile is missing
+  ctx.fillStyle = '#ddd';
+  ctx.fillRect(0, 0, width, height);
+  const missingTiles = await drawBasemap(ctx, map, scale);
+
+  // Everything else is drawn in on-screen pixels
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  const project = createProjector(map);
+  drawOverlays(ctx, overlays, project);
+  if (labels) drawLabels(ctx, overlays, project);
+  if (legend && overlays.length > 0) drawLegend(ctx, overlays);
+  if (scaleBar) drawScaleBar(ctx, map);
+  drawAttribution(ctx, map);
+
+  return { blob: await canvasToBlob(canvas), missingTiles };
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Layer ids designers will see in their tools, e.g. "texas-1"
+const toSvgId = (name, index) => `${name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '') || 'overlay'}-${index + 1}`;
+
+function toSvgPath(geometry, project) {
+  return getPolygons(geometry.coordinates)
+    .flatMap(polygon => polygon.map(ring =>
+      `M${ring.map(point => project(point).map(n => n.toFixed(1)).join(' ')).join('L')}Z`
+    ))
+    .join('');
+}
+
+// The overlays alone as SVG, in the current view's Mercator pixel space
+export function exportOverlaysAsSvg(map, overlays) {
+  const { width, height } = getExportSize(map);
+  const project = createProjector(map);
+  const groups = overlays.map((overlay, index) => [
+    `  <g id="${escapeXml(toSvgId(overlay.name, index))}" data-code="${escapeXml(overlay.code)}" data-area-km2="${overlay.area_km2}">`,
+    `    <title>${escapeXml(`${overlay.name} — ${areaLabel(overlay)}`)}</title>`,
+    `    <path d="${toSvgPath(overlay.geometry, project)}" fill="${overlay.color}" fill-opacity="${FILL_OPACITY}" fill-rule="evenodd" stroke="${overlay.color}" stroke-width="${STROKE_WIDTH}" stroke-linejoin="round"/>`,
+    '  </g>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...groups,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+// Save a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,41 @@
+// Dissolve several features into one shape, such as the New England states
+// into New England. The union is taken in an equal-area projection centered
+// on the group, like the overlap analysis, so shared borders disappear and
+// parts that don't touch become parts of one MultiPolygon.
+import polygonClipping from 'polygon-clipping';
+import { calculateCentroid, unwrapGeometry } from './geoUtils';
+import { createEqualAreaProjection, getPolygons } from './sphericalGeometry.js';
+
+// Union of the features' geometries as a MultiPolygon, or null if the
+// geometry can't be clipped
+export function dissolveFeatures(features) {
+  const all = {
+    type: 'MultiPolygon',
+    coordinates: features.flatMap(f => getPolygons(f.geometry.coordinates))
+  };
+  const center = calculateCentroid(all.coordinates);
+  const { project, unproject } = createEqualAreaProjection(center);
+  const projected = getPolygons(unwrapGeometry(all, center[0]).coordinates)
+    .map(polygon => polygon.map(ring => ring.map(project)));
+
+  let union;
+  try {
+    union = polygonClipping.union(...projected.map(polygon => [polygon]));
+  } catch (error) {
+    console.error('Failed to merge shapes:', error);
+    return null;
+  }
+  if (union.length === 0) return null;
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: union.map(polygon => polygon.map(ring => ring.map(unproject)))
+  };
+}
+
+// "Maine + Vermont", or "Maine, Vermont + 4 more" for longer lists
+export function nameMergedShape(features) {
+  const names = features.map(f => f.properties.name);
+  if (names.length <= 3) return names.join(' + ');
+  return `${names.slice(0, 2).join(', ')} + ${names.length - 2} more`;
+}
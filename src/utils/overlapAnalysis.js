@@ -0,0 +1,93 @@
+// Intersection, union and difference of two overlays on the sphere. Both
+// shapes are projected with a Lambert azimuthal equal-area projection
+// centered between them, clipped in that plane, and projected back. The
+// projection preserves area, so areas measured in the plane are true areas
+// on the sphere at any latitude.
+import polygonClipping from 'polygon-clipping';
+import {
+  EARTH_RADIUS_KM, createEqualAreaProjection, getPolygons, normalize, toLngLat, toVector
+} from './sphericalGeometry.js';
+
+// Point halfway between two overlays' centroids on the sphere
+function midpoint(a, b) {
+  const va = toVector(a);
+  const vb = toVector(b);
+  const sum = [va[0] + vb[0], va[1] + vb[1], va[2] + vb[2]];
+  return Math.hypot(...sum) < 1e-9 ? a : toLngLat(normalize(sum));
+}
+
+// Shoelace area of a planar ring
+function planarRingArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Area in km² of projected MultiPolygon coordinates, holes subtracted
+function projectedArea(multiPolygon) {
+  let area = 0;
+  multiPolygon.forEach(polygon => {
+    polygon.forEach((ring, index) => {
+      area += index === 0 ? planarRingArea(ring) : -planarRingArea(ring);
+    });
+  });
+  return Math.max(0, area) * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+const projectGeometry = (geometry, project) =>
+  getPolygons(geometry.coordinates).map(polygon => polygon.map(ring => ring.map(project)));
+
+function toGeometry(multiPolygon, unproject) {
+  if (multiPolygon.length === 0) return null;
+  return {
+    type: 'MultiPolygon',
+    coordinates: multiPolygon.map(polygon => polygon.map(ring => ring.map(unproject)))
+  };
+}
+
+// Compare two overlays in their current positions. Returns the four
+// regions as GeoJSON geometries (null when empty), their areas in km² and
+// the share of each shape covered by the other. Returns null if the
+// geometry can't be clipped.
+export function analyzeOverlap(a, b) {
+  const { project, unproject } = createEqualAreaProjection(midpoint(a.centroid, b.centroid));
+  const shapeA = projectGeometry(a.geometry, project);
+  const shapeB = projectGeometry(b.geometry, project);
+
+  let regions;
+  try {
+    regions = {
+      intersection: polygonClipping.intersection(shapeA, shapeB),
+      union: polygonClipping.union(shapeA, shapeB),
+      aOnly: polygonClipping.difference(shapeA, shapeB),
+      bOnly: polygonClipping.difference(shapeB, shapeA)
+    };
+  } catch (error) {
+    console.error('Failed to compute overlap:', error);
+    return null;
+  }
+
+  const areaA = projectedArea(shapeA);
+  const areaB = projectedArea(shapeB);
+  const intersectionArea = projectedArea(regions.intersection);
+
+  return {
+    geometries: Object.fromEntries(
+      Object.entries(regions).map(([key, region]) => [key, toGeometry(region, unproject)])
+    ),
+    areas: {
+      a: areaA,
+      b: areaB,
+      intersection: intersectionArea,
+      union: projectedArea(regions.union),
+      aOnly: projectedArea(regions.aOnly),
+      bOnly: projectedArea(regions.bOnly)
+    },
+    coverage: {
+      a: areaA > 0 ? intersectionArea / areaA : 0,
+      b: areaB > 0 ? intersectionArea / areaB : 0
+    }
+  };
+}
@@ -0,0 +1,172 @@
+// Overlays as GeoJSON and KML files for GIS tools. Each feature carries the
+// overlay's transformed geometry along with its dataset reference and
+// transform, so a GeoJSON export can be imported back into the app, even in
+// a browser that doesn't have its drawn or imported shapes.
+//
+//   properties: { name, country, code, dataset, area_km2,
+//                 offset: [dLng, dLat], rotation (degrees), color }
+import { getPolygons, mapPositions, toDegrees, toRadians, unwrapLongitude } from './sphericalGeometry.js';
+import { calculateCentroid, moveCoordinatesOnSphere, rotateCoordinates } from './geoUtils.js';
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Whole turns of longitude that bring a centroid within ±180°. Shapes
+// dragged across the antimeridian on the wrapped map can sit a world away.
+const primaryWorldShift = (centroid) => unwrapLongitude(centroid[0], 0) - centroid[0];
+
+function shiftGeometry(geometry, shift) {
+  return {
+    type: geometry.type,
+    coordinates: mapPositions(geometry.coordinates, ([lng, lat]) => [round(lng + shift, 6), round(lat, 6)])
+  };
+}
+
+export function overlaysToGeoJSON(overlays) {
+  return {
+    type: 'FeatureCollection',
+    features: overlays.map(overlay => {
+      const shift = primaryWorldShift(overlay.centroid);
+      return {
+        type: 'Feature',
+        geometry: shiftGeometry(overlay.geometry, shift),
+        properties: {
+          name: overlay.name,
+          country: overlay.country,
+          code: overlay.code,
+          dataset: overlay.dataset ?? null,
+          area_km2: overlay.area_km2,
+          offset: [round(overlay.offset[0] + shift, 6), round(overlay.offset[1], 6)],
+          rotation: round(toDegrees(overlay.rotation || 0), 4),
+          color: overlay.color
+        }
+      };
+    })
+  };
+}
+
+const isOverlayProperties = (p) => Boolean(p)
+  && typeof p.code === 'string'
+  && typeof p.country === 'string'
+  && Array.isArray(p.offset);
+
+// Read an exported FeatureCollection back into a comparison state (see
+// comparisonState.js). Returns null if the document isn't an overlay export,
+// i.e. some feature lacks the overlay properties.
+export function parseOverlayGeoJSON(data) {
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) return null;
+
+  const properties = data.features.map(feature => feature?.properties);
+  if (properties.length === 0 || !properties.every(isOverlayProperties)) return null;
+
+  const overlays = properties.map(toReference);
+  return { overlays, selectedIndex: null, view: null };
+}
+
+function toReference(p) {
+  return {
+    code: p.code,
+    country: p.country,
+    offset: p.offset.length === 2 && p.offset.every(Number.isFinite)
+      ? [p.offset[0], p.offset[1]]
+      : [0, 0],
+    rotation: Number.isFinite(p.rotation) ? toRadians(p.rotation) : 0,
+    color: /^#[0-9a-f]{6}$/i.test(p.color || '') ? p.color.toUpperCase() : undefined
+  };
+}
+
+// Undo the offset and rotation an overlay was exported with, giving back its
+// shape where it started. The export's centroid is the moved original one.
+function untransformGeometry(geometry, { offset, rotation }) {
+  const centroid = calculateCentroid(geometry.coordinates);
+  const originalCentroid = [centroid[0] - offset[0], centroid[1] - offset[1]];
+  let coordinates = moveCoordinatesOnSphere(geometry.coordinates, centroid, originalCentroid);
+  if (rotation) {
+    coordinates = rotateCoordinates(coordinates, originalCentroid[0], originalCentroid[1], -rotation);
+  }
+  return { type: geometry.type, coordinates };
+}
+
+// The untransformed shapes in an overlay export, by code: { name, geometry }.
+// Lets overlays whose code doesn't resolve, such as shapes drawn in another
+// browser, be rebuilt from the file.
+export function getExportedShapes(data) {
+  const shapes = new Map();
+  if (!parseOverlayGeoJSON(data)) return shapes;
+
+  data.features.forEach(({ geometry, properties }) => {
+    const type = geometry?.type;
+    if (shapes.has(properties.code) || (type !== 'Polygon' && type !== 'MultiPolygon')) return;
+    shapes.set(properties.code, {
+      name: typeof properties.name === 'string' && properties.name ? properties.name : properties.code,
+      geometry: untransformGeometry(geometry, toReference(properties))
+    });
+  });
+  return shapes;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colours are aabbggrr hex
+function toKmlColor(hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map(i => hex.slice(i, i + 2));
+  const a = Math.round(alpha * 255).toString(16).padStart(2, '0');
+  return `${a}${b}${g}${r}`.toLowerCase();
+}
+
+// KML coordinates must lie within ±180°; Google Earth draws each edge the
+// short way round, so shapes crossing the antimeridian stay intact
+function toKmlRing(ring) {
+  const coordinates = ring
+    .map(([lng, lat]) => `${round(unwrapLongitude(lng, 0), 6)},${round(lat, 6)}`)
+    .join(' ');
+  return `<LinearRing><coordinates>${coordinates}</coordinates></LinearRing>`;
+}
+
+function toKmlPolygon([outer, ...holes]) {
+  return [
+    '<Polygon>',
+    `<outerBoundaryIs>${toKmlRing(outer)}</outerBoundaryIs>`,
+    ...holes.map(hole => `<innerBoundaryIs>${toKmlRing(hole)}</innerBoundaryIs>`),
+    '</Polygon>'
+  ].join('');
+}
+
+function toKmlGeometry(geometry) {
+  const polygons = getPolygons(geometry.coordinates).map(toKmlPolygon);
+  return polygons.length === 1 ? polygons[0] : `<MultiGeometry>${polygons.join('')}</MultiGeometry>`;
+}
+
+function toKmlPlacemark(overlay) {
+  const { properties } = overlaysToGeoJSON([overlay]).features[0];
+  const data = Object.entries(properties)
+    .filter(([key]) => key !== 'name')
+    .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(Array.isArray(value) ? value.join(',') : value ?? '')}</value></Data>`)
+    .join('');
+
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(overlay.name)}</name>`,
+    `      <description>${escapeXml(`${overlay.area_km2.toLocaleString()} km²`)}</description>`,
+    `      <Style><LineStyle><color>${toKmlColor(overlay.color, 1)}</color><width>2</width></LineStyle><PolyStyle><color>${toKmlColor(overlay.color, 0.4)}</color></PolyStyle></Style>`,
+    `      <ExtendedData>${data}</ExtendedData>`,
+    `      ${toKmlGeometry(overlay.geometry)}`,
+    '    </Placemark>'
+  ].join('\n');
+}
+
+export function overlaysToKml(overlays) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>True Size Comparison</name>',
+    ...overlays.map(toKmlPlacemark),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,240 @@
+// Geometry on the sphere: vectors, rotations, geodesic areas and centroids.
+// Coordinates are GeoJSON [lng, lat] pairs in degrees; edges are great-circle arcs.
+
+// Authalic radius: a sphere with the same surface area as the WGS84 ellipsoid
+export const EARTH_RADIUS_KM = 6371.0072;
+
+export const toRadians = (deg) => (deg * Math.PI) / 180;
+export const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+export function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  if (length === 0) return [0, 0, 0];
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// Convert [lng, lat] in degrees to a unit vector
+export function toVector(point) {
+  const lng = toRadians(point[0]);
+  const lat = toRadians(point[1]);
+  return [
+    Math.cos(lat) * Math.cos(lng),
+    Math.cos(lat) * Math.sin(lng),
+    Math.sin(lat)
+  ];
+}
+
+// Convert a unit vector back to [lng, lat] in degrees
+export function toLngLat(v) {
+  const lat = Math.asin(Math.max(-1, Math.min(1, v[2])));
+  const lng = Math.atan2(v[1], v[0]);
+  return [toDegrees(lng), toDegrees(lat)];
+}
+
+// Wrap a longitude so it lies within 180° of a reference longitude.
+// Keeps rings continuous when a shape is carried across the antimeridian.
+export function unwrapLongitude(lng, referenceLng) {
+  let delta = (lng - referenceLng) % 360;
+  if (delta > 180) delta -= 360;
+  if (delta < -180) delta += 360;
+  return referenceLng + delta;
+}
+
+// Angular distance in radians between two unit vectors
+export function angleBetween(a, b) {
+  return Math.atan2(Math.hypot(...cross(a, b)), dot(a, b));
+}
+
+// Rotate a vector about a unit axis (Rodrigues' rotation formula)
+export function rotateVector(v, axis, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const kDotV = dot(axis, v);
+  const kCrossV = cross(axis, v);
+  return [0, 1, 2].map(i =>
+    v[i] * cos + kCrossV[i] * sin + axis[i] * kDotV * (1 - cos)
+  );
+}
+
+// Apply a function to every [lng, lat] position in nested coordinates
+export function mapPositions(coordinates, fn) {
+  if (typeof coordinates[0] === 'number') {
+    return fn(coordinates);
+  }
+  return coordinates.map(coord => mapPositions(coord, fn));
+}
+
+// Rotate coordinates about an arbitrary axis through the Earth's center.
+// Positive angles turn counter-clockwise when looking down the axis.
+export function rotateCoordinatesAboutAxis(coordinates, axis, angle, referenceLng = 0) {
+  const k = normalize(axis);
+  return mapPositions(coordinates, (point) => {
+    const [lng, lat] = toLngLat(rotateVector(toVector(point), k, angle));
+    return [unwrapLongitude(lng, referenceLng), lat];
+  });
+}
+
+// Axis and angle of the great-circle rotation that carries one point onto another
+export function greatCircleRotation(from, to) {
+  const a = toVector(from);
+  const b = toVector(to);
+  let axis = cross(a, b);
+  const sinAngle = Math.hypot(axis[0], axis[1], axis[2]);
+  const cosAngle = dot(a, b);
+
+  if (sinAngle < 1e-12) {
+    if (cosAngle > 0) return { axis: [0, 0, 1], angle: 0 };
+    // Antipodal points: any axis perpendicular to the start point will do
+    axis = Math.abs(a[2]) < 0.9 ? [a[1], -a[0], 0] : [0, a[2], -a[1]];
+  }
+
+  return { axis: normalize(axis), angle: Math.atan2(sinAngle, cosAngle) };
+}
+
+// Point reached by travelling a distance in km from a start point along an
+// initial bearing (radians clockwise from north), following a great circle
+export function destinationPoint(start, distanceKm, bearing) {
+  const angle = distanceKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(start[1]);
+  const lng1 = toRadians(start[0]);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [unwrapLongitude(toDegrees(lng2), start[0]), toDegrees(lat2)];
+}
+
+// Lambert azimuthal equal-area projection of the unit sphere centered on a
+// point. Areas in the plane equal areas on the sphere, so planar geometry
+// can be measured and clipped without losing true sizes.
+export function createEqualAreaProjection(center) {
+  const lng0 = toRadians(center[0]);
+  const lat0 = toRadians(center[1]);
+  const sinLat0 = Math.sin(lat0);
+  const cosLat0 = Math.cos(lat0);
+
+  const project = ([lng, lat]) => {
+    const dLng = toRadians(lng) - lng0;
+    const phi = toRadians(lat);
+    const k = Math.sqrt(2 / (1 + sinLat0 * Math.sin(phi) + cosLat0 * Math.cos(phi) * Math.cos(dLng)));
+    return [
+      k * Math.cos(phi) * Math.sin(dLng),
+      k * (cosLat0 * Math.sin(phi) - sinLat0 * Math.cos(phi) * Math.cos(dLng))
+    ];
+  };
+
+  const unproject = ([x, y]) => {
+    const rho = Math.hypot(x, y);
+    if (rho < 1e-15) return [center[0], center[1]];
+    const c = 2 * Math.asin(Math.min(1, rho / 2));
+    const lat = Math.asin(Math.cos(c) * sinLat0 + (y * Math.sin(c) * cosLat0) / rho);
+    const lng = lng0 + Math.atan2(x * Math.sin(c), rho * cosLat0 * Math.cos(c) - y * sinLat0 * Math.sin(c));
+    return [unwrapLongitude(toDegrees(lng), center[0]), toDegrees(lat)];
+  };
+
+  return { project, unproject };
+}
+
+// Split Polygon, MultiPolygon or bare ring coordinates into a list of polygons
+export function getPolygons(coordinates) {
+  if (!coordinates || coordinates.length === 0) return [];
+  if (typeof coordinates[0][0] === 'number') return [[coordinates]];
+  if (typeof coordinates[0][0][0] === 'number') return [coordinates];
+  return coordinates;
+}
+
+// Signed spherical excess of a ring in steradians. The sign depends on the
+// winding order, which varies between datasets, so callers take the magnitude.
+function signedRingArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const p0 = ring[i];
+    const p1 = ring[(i + 1) % ring.length];
+    const dLng = toRadians(p1[0] - p0[0]);
+    const direction = dLng >= 0 ? 1 : -1;
+    const absDLng = direction * dLng;
+    const phi0 = toRadians(p0[1]) / 2 + Math.PI / 4;
+    const phi1 = toRadians(p1[1]) / 2 + Math.PI / 4;
+    const k = Math.sin(phi0) * Math.sin(phi1);
+    const u = Math.cos(phi0) * Math.cos(phi1) + k * Math.cos(absDLng);
+    const v = k * direction * Math.sin(absDLng);
+    sum += Math.atan2(v, u);
+  }
+  return 2 * sum;
+}
+
+// Area of a ring in steradians, assuming it encloses less than a hemisphere
+function ringArea(ring) {
+  const area = Math.abs(signedRingArea(ring));
+  return Math.min(area, 4 * Math.PI - area);
+}
+
+// Geodesic area in km² of Polygon or MultiPolygon coordinates.
+// Holes are subtracted from their outer ring.
+export function geodesicArea(coordinates) {
+  let steradians = 0;
+  getPolygons(coordinates).forEach(polygon => {
+    polygon.forEach((ring, index) => {
+      const area = ringArea(ring);
+      steradians += index === 0 ? area : -area;
+    });
+  });
+  return Math.max(0, steradians) * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+// Surface integral of the position vector over the area a ring encloses.
+// Only its direction is meaningful: it points at the ring's centroid.
+function ringMoment(ring) {
+  let moment = [0, 0, 0];
+  let mean = [0, 0, 0];
+  let a = toVector(ring[ring.length - 1]);
+
+  ring.forEach(point => {
+    const b = toVector(point);
+    const normal = cross(a, b);
+    const sinAngle = Math.hypot(normal[0], normal[1], normal[2]);
+    if (sinAngle > 0) {
+      const angle = Math.atan2(sinAngle, dot(a, b));
+      const weight = angle / (2 * sinAngle);
+      moment = [0, 1, 2].map(i => moment[i] + normal[i] * weight);
+    }
+    mean = [0, 1, 2].map(i => mean[i] + b[i]);
+    a = b;
+  });
+
+  // Orient the moment toward the ring itself regardless of winding order
+  return dot(moment, mean) < 0 ? moment.map(c => -c) : moment;
+}
+
+// Area-weighted centroid of Polygon or MultiPolygon coordinates on the sphere.
+// Unlike a vertex average, it isn't pulled toward densely digitized coastlines.
+export function sphericalCentroid(coordinates) {
+  let moment = [0, 0, 0];
+  getPolygons(coordinates).forEach(polygon => {
+    polygon.forEach((ring, index) => {
+      const sign = index === 0 ? 1 : -1;
+      const ringVector = ringMoment(ring);
+      moment = [0, 1, 2].map(i => moment[i] + sign * ringVector[i]);
+    });
+  });
+
+  if (Math.hypot(moment[0], moment[1], moment[2]) < 1e-15) {
+    return null;
+  }
+  return toLngLat(normalize(moment));
+}
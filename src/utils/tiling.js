@@ -0,0 +1,399 @@
+// "How many fit?": packs copies of a small overlay inside a large one. Both
+// shapes are projected with an equal-area projection centered on the large
+// shape and copies are laid out on lattices at a range of rotations and
+// offsets. The lattices holding the most copies in the plane are then placed
+// on the sphere, the way the copies are drawn, and the one that keeps the
+// most copies fully inside wins.
+import { moveCoordinatesOnSphere, transformGeometry } from './geoUtils';
+import { createEqualAreaProjection, cross, dot, getPolygons, toVector } from './sphericalGeometry.js';
+
+// Largest number of copies drawn on the map
+export const MAX_COPIES = 300;
+// Largest number of copies counted. Beyond this only the area ratio is shown.
+export const MAX_FIT_COUNT = 10000;
+
+// Rotations tried, in degrees from the small shape's original orientation
+const ROTATION_STEP = 15;
+// Vertices of each copy tested against the large shape
+const MAX_SAMPLES = 160;
+// Lattice offsets tried along each axis per rotation. Fewer are tried as
+// the count grows: every lattice costs more, and with many small copies
+// the offset matters less.
+const PHASE_STEPS = 8;
+const MIN_PHASE_STEPS = 2;
+// Copies may touch the large shape's boundary and each other: their
+// vertices are tested this fraction of the way in toward their center
+const INSET = 0.002;
+// Horizontal bands used to speed up point-in-polygon tests
+const BAND_COUNT = 64;
+// Cells per side of the grid that answers most tests against the large shape
+const GRID_SIZE = 128;
+
+// Point-in-polygon test over a set of planar rings (even-odd rule, so holes
+// and multipolygons work). Edges are bucketed into horizontal bands so each
+// test only looks at edges near the point.
+function createPointIndex(rings) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  rings.forEach(ring => ring.forEach(([, y]) => {
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  }));
+  // Small rings, such as most copies, need few bands
+  const edgeCount = rings.reduce((sum, ring) => sum + ring.length, 0);
+  const bandCount = Math.max(1, Math.min(BAND_COUNT, Math.ceil(edgeCount / 8)));
+  const bandHeight = (maxY - minY) / bandCount || 1;
+  const bandOf = (y) => Math.min(bandCount - 1, Math.max(0, Math.floor((y - minY) / bandHeight)));
+
+  const bands = Array.from({ length: bandCount }, () => []);
+  rings.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      if (a[1] === b[1]) continue;
+      const first = bandOf(Math.min(a[1], b[1]));
+      const last = bandOf(Math.max(a[1], b[1]));
+      for (let band = first; band <= last; band++) bands[band].push([a, b]);
+    }
+  });
+
+  return (x, y) => {
+    if (y < minY || y > maxY) return false;
+    let inside = false;
+    bands[bandOf(y)].forEach(([a, b]) => {
+      if ((a[1] > y) !== (b[1] > y)) {
+        const crossX = a[0] + ((y - a[1]) / (b[1] - a[1])) * (b[0] - a[0]);
+        if (crossX > x) inside = !inside;
+      }
+    });
+    return inside;
+  };
+}
+
+function getExtent(points) {
+  const extent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  points.forEach(([x, y]) => {
+    extent.minX = Math.min(extent.minX, x);
+    extent.minY = Math.min(extent.minY, y);
+    extent.maxX = Math.max(extent.maxX, x);
+    extent.maxY = Math.max(extent.maxY, y);
+  });
+  return extent;
+}
+
+const projectRings = (geometry, project) =>
+  getPolygons(geometry.coordinates).flat().map(ring => ring.map(project));
+
+// Every nth vertex so long boundaries don't dominate the cost of a test,
+// moved in toward the shape's projected center by INSET
+function sampleVertices(rings, [originX, originY]) {
+  const points = rings.flat();
+  const stride = Math.max(1, Math.ceil(points.length / MAX_SAMPLES));
+  return points
+    .filter((_, index) => index % stride === 0)
+    .map(([x, y]) => [originX + (x - originX) * (1 - INSET), originY + (y - originY) * (1 - INSET)]);
+}
+
+// A shape projected for fit tests, around its projected center
+function toShape(geometry, project, origin) {
+  const rings = projectRings(geometry, project);
+  return {
+    geometry,
+    extent: getExtent(rings.flat()),
+    samples: sampleVertices(rings, origin),
+    contains: createPointIndex(rings)
+  };
+}
+
+// The small shape at the large shape's centroid, rotated and projected.
+// The projection is centered there, so the copy's centroid is the origin.
+function createTemplate(small, center, rotation, project) {
+  const geometry = transformGeometry(small.originalGeometry, small.originalCentroid, center, rotation);
+  return toShape(geometry, project, [0, 0]);
+}
+
+// The projection turned so that its y axis runs along the template's own
+// north (where the small shape sits at home, before rotating). Lattices are
+// laid out along the axes, so they turn with the template and a square
+// still lines up with squares wherever it was carried.
+function createFrame({ project, unproject }, small, center, rotation) {
+  const [lng, lat] = small.originalCentroid;
+  const north = [[lng, lat + (lat < 89 ? 0.01 : -0.01)]];
+  const [x, y] = project(transformGeometry({ coordinates: north }, small.originalCentroid, center, rotation).coordinates[0]);
+  const angle = Math.atan2(-x, y);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    project: (position) => {
+      const [px, py] = project(position);
+      return [px * cos + py * sin, py * cos - px * sin];
+    },
+    unproject: ([px, py]) => unproject([px * cos - py * sin, px * sin + py * cos])
+  };
+}
+
+function getPhaseSteps(count) {
+  let steps = PHASE_STEPS;
+  while (steps > MIN_PHASE_STEPS && steps * steps * count > PHASE_STEPS * PHASE_STEPS * MAX_COPIES) {
+    steps /= 2;
+  }
+  return steps;
+}
+
+// Lattice rows at one vertical offset: for each row and each horizontal
+// offset, the positions where the template fits. Columns are spaced by the
+// template's width and rows by its height, times spacing, so copies never
+// overlap in the plane.
+function fillRows(template, large, phaseY, steps, spacing) {
+  const { extent } = template;
+  const width = (extent.maxX - extent.minX) * spacing;
+  const height = (extent.maxY - extent.minY) * spacing;
+  const columns = Math.ceil((large.extent.maxX - large.extent.minX) / width) + 2;
+  const rows = Math.ceil((large.extent.maxY - large.extent.minY) / height) + 2;
+  const result = [];
+
+  for (let row = -1; row < rows; row++) {
+    const y = large.extent.minY - extent.minY + (row + phaseY) * height;
+    result.push(Array.from({ length: steps }, (_, step) => {
+      const positions = [];
+      for (let column = -1; column < columns; column++) {
+        const x = large.extent.minX - extent.minX + (column + step / steps) * width;
+        if (fitsInside(template, large, x, y)) positions.push({ x, y, row, column });
+      }
+      return positions;
+    }));
+  }
+  return result;
+}
+
+// A lattice through a set of rows takes each row at one horizontal offset
+// (step), shifting every other row by half a column when staggered
+function getLatticeRows({ rows, steps, step, stagger }) {
+  return rows.map((row, index) => row[(step + (stagger && index % 2 !== 0 ? steps / 2 : 0)) % steps]);
+}
+
+// A copy fits when all its sampled vertices lie inside the large shape and
+// none of the large shape's vertices (a bay or a hole) pokes into the copy.
+// Copies well inside, away from any edge, are settled by the grid alone.
+function fitsInside(template, large, x, y) {
+  const { minX, minY, maxX, maxY } = template.extent;
+  if (large.containsBox(minX + x, minY + y, maxX + x, maxY + y)) return true;
+  if (!template.samples.every(([px, py]) => large.contains(px + x, py + y))) return false;
+
+  return !large.someVertex(minX + x, minY + y, maxX + x, maxY + y, (vx, vy) => template.contains(vx - x, vy - y));
+}
+
+// Grid cells that no edge passes through lie wholly inside or outside the
+// rings, so points in them are answered by testing the cell's center once.
+// Only points in cells an edge's bounding box touches test the edges.
+// Returns contains(x, y); containsBox(minX, minY, maxX, maxY), telling
+// whether a box lies in cells wholly inside; and someVertex(minX, minY,
+// maxX, maxY, test), telling whether test passes for a vertex in the box.
+function createGridIndex(rings, extent) {
+  const contains = createPointIndex(rings);
+  const cellWidth = (extent.maxX - extent.minX) / GRID_SIZE || 1;
+  const cellHeight = (extent.maxY - extent.minY) / GRID_SIZE || 1;
+  const cellOf = (value, min, size) => Math.min(GRID_SIZE - 1, Math.max(0, Math.floor((value - min) / size)));
+  // 0 not yet known, 1 inside, -1 outside, 2 crossed by an edge
+  const cells = new Int8Array(GRID_SIZE * GRID_SIZE);
+  const vertices = new Map();
+
+  rings.forEach(ring => {
+    ring.forEach(vertex => {
+      const index = cellOf(vertex[1], extent.minY, cellHeight) * GRID_SIZE + cellOf(vertex[0], extent.minX, cellWidth);
+      if (!vertices.has(index)) vertices.set(index, []);
+      vertices.get(index).push(vertex);
+    });
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [ax, ay] = ring[i];
+      const [bx, by] = ring[i + 1];
+      const lastRow = cellOf(Math.max(ay, by), extent.minY, cellHeight);
+      const lastColumn = cellOf(Math.max(ax, bx), extent.minX, cellWidth);
+      for (let row = cellOf(Math.min(ay, by), extent.minY, cellHeight); row <= lastRow; row++) {
+        for (let column = cellOf(Math.min(ax, bx), extent.minX, cellWidth); column <= lastColumn; column++) {
+          cells[row * GRID_SIZE + column] = 2;
+        }
+      }
+    }
+  });
+
+  const classify = (row, column) => {
+    const index = row * GRID_SIZE + column;
+    if (cells[index] === 0) {
+      const inside = contains(extent.minX + (column + 0.5) * cellWidth, extent.minY + (row + 0.5) * cellHeight);
+      cells[index] = inside ? 1 : -1;
+    }
+    return cells[index];
+  };
+  const isOutside = (x, y) => x < extent.minX || x > extent.maxX || y < extent.minY || y > extent.maxY;
+  // Calls visit with each cell index a box touches until it returns true
+  const someCell = (minX, minY, maxX, maxY, visit) => {
+    const lastRow = cellOf(maxY, extent.minY, cellHeight);
+    const lastColumn = cellOf(maxX, extent.minX, cellWidth);
+    for (let row = cellOf(minY, extent.minY, cellHeight); row <= lastRow; row++) {
+      for (let column = cellOf(minX, extent.minX, cellWidth); column <= lastColumn; column++) {
+        if (visit(row, column)) return true;
+      }
+    }
+    return false;
+  };
+
+  return {
+    contains: (x, y) => {
+      if (isOutside(x, y)) return false;
+      const row = cellOf(y, extent.minY, cellHeight);
+      const column = cellOf(x, extent.minX, cellWidth);
+      const cell = classify(row, column);
+      return cell === 2 ? contains(x, y) : cell === 1;
+    },
+    containsBox: (minX, minY, maxX, maxY) => !isOutside(minX, minY) && !isOutside(maxX, maxY)
+      && !someCell(minX, minY, maxX, maxY, (row, column) => classify(row, column) !== 1),
+    someVertex: (minX, minY, maxX, maxY, test) => {
+      if (maxX < extent.minX || minX > extent.maxX || maxY < extent.minY || minY > extent.maxY) return false;
+      return someCell(minX, minY, maxX, maxY, (row, column) => (vertices.get(row * GRID_SIZE + column) || [])
+        .some(([vx, vy]) => vx >= minX && vx <= maxX && vy >= minY && vy <= maxY && test(vx, vy)));
+    }
+  };
+}
+
+// The large shape projected for fit tests
+function createLargeShape(large, project) {
+  const rings = projectRings(large.geometry, project);
+  const extent = getExtent(rings.flat());
+  return { extent, ...createGridIndex(rings, extent) };
+}
+
+// Whether two projected shapes overlap, going by their sampled vertices
+function overlaps(a, b) {
+  if (a.extent.maxX < b.extent.minX || b.extent.maxX < a.extent.minX
+    || a.extent.maxY < b.extent.minY || b.extent.maxY < a.extent.minY) return false;
+  return a.samples.some(([x, y]) => b.contains(x, y)) || b.samples.some(([x, y]) => a.contains(x, y));
+}
+
+// Place a lattice's copies the way they are drawn, carried out from the
+// center along great circles (which is how an azimuthal projection maps
+// straight lines through its center), and keep those that still fit inside
+// the large shape without overlapping a neighbor. Away from the center the
+// placed copies differ slightly from the planar lattice.
+function placeCopies(template, large, positions, { center, project, unproject }, limit) {
+  const placed = new Map();
+  const copies = [];
+
+  for (const { x, y, row, column } of positions) {
+    if (copies.length >= limit) break;
+    const target = unproject([x, y]);
+    const geometry = {
+      ...template.geometry,
+      coordinates: moveCoordinatesOnSphere(template.geometry.coordinates, center, target)
+    };
+    const copy = { ...toShape(geometry, project, [x, y]), target };
+    if (!fitsInside(copy, large, 0, 0)) continue;
+
+    const neighbors = [-1, 0, 1].flatMap(dRow => [-1, 0, 1].map(dColumn => placed.get(`${row + dRow},${column + dColumn}`)));
+    if (neighbors.some(other => other && overlaps(copy, other))) continue;
+
+    placed.set(`${row},${column}`, copy);
+    copies.push(copy);
+  }
+  return copies;
+}
+
+// Signed angle from u to v about a unit axis, counter-clockwise looking
+// down the axis like the rotations in sphericalGeometry
+function angleAbout(axis, u, v) {
+  const flatten = (w) => {
+    const along = dot(axis, w);
+    return [0, 1, 2].map(i => w[i] - axis[i] * along);
+  };
+  const a = flatten(u);
+  const b = flatten(v);
+  return Math.atan2(dot(axis, cross(a, b)), dot(a, b));
+}
+
+// The overlay transform ({ centroid, rotation }) that puts the small shape
+// where a copy was placed. A copy is the small shape turned, carried to the
+// center and carried on to its target. Any such motion of the sphere is a
+// turn about the shape's own centroid followed by a great-circle move,
+// which is how overlays are transformed.
+function toOverlayTransform(small, center, rotation, target) {
+  const home = small.originalCentroid;
+  const place = (point) => {
+    const moved = transformGeometry({ coordinates: [point] }, home, center, rotation).coordinates;
+    return moveCoordinatesOnSphere(moved, center, target)[0];
+  };
+  const centroid = place(home);
+  // Carry a point just north of home along and back: it comes back turned
+  // about home by the copy's rotation
+  const north = [home[0], home[1] + (home[1] < 89 ? 0.01 : -0.01)];
+  const [returned] = moveCoordinatesOnSphere([place(north)], centroid, home);
+  return {
+    centroid,
+    rotation: angleAbout(toVector(home), toVector(north), toVector(returned))
+  };
+}
+
+// Pack copies of the small overlay inside the large one. Returns the area
+// ratio, the number of copies that fit geometrically, the rotation of the
+// best layout in degrees and up to MAX_COPIES of the copies as overlay
+// transforms of the small shape ({ centroid, rotation }). Packing is skipped when more than MAX_FIT_COUNT would fit by
+// area; fitCount and copies are null in that case.
+export function packCopies(small, large) {
+  const ratio = small.area_km2 > 0 ? large.area_km2 / small.area_km2 : 0;
+  const byArea = Math.floor(ratio);
+  if (byArea < 1 || byArea > MAX_FIT_COUNT) {
+    return { ratio, byArea, fitCount: byArea < 1 ? 0 : null, rotation: 0, copies: byArea < 1 ? [] : null };
+  }
+
+  const projection = createEqualAreaProjection(large.centroid);
+  const center = large.centroid;
+
+  // Copies carried away from the center are stretched across the direction
+  // they moved in (by 1 / cos(c / 2) at angular distance c), so the lattice
+  // is spaced for the farthest point of the large shape
+  const maxRadius = projectRings(large.geometry, projection.project).flat()
+    .reduce((max, [x, y]) => Math.max(max, Math.hypot(x, y)), 0);
+  const spacing = 1 / Math.sqrt(Math.max(0.25, 1 - maxRadius ** 2 / 4));
+
+  // Count copies on every lattice in the plane first, then place the most
+  // promising ones on the sphere until no remaining lattice could do better
+  const steps = getPhaseSteps(byArea);
+  const candidates = [];
+  for (let degrees = 0; degrees < 180; degrees += ROTATION_STEP) {
+    const rotation = (degrees * Math.PI) / 180;
+    const frame = createFrame(projection, small, center, rotation);
+    const template = createTemplate(small, center, rotation, frame.project);
+    const largeShape = createLargeShape(large, frame.project);
+    for (let phaseY = 0; phaseY < steps; phaseY++) {
+      const rows = fillRows(template, largeShape, phaseY / steps, steps, spacing);
+      for (const stagger of [false, true]) {
+        for (let step = 0; step < steps; step++) {
+          const lattice = { rows, steps, step, stagger };
+          const count = getLatticeRows(lattice).reduce((sum, row) => sum + row.length, 0);
+          if (count > 0) candidates.push({ template, largeShape, frame, degrees, lattice, count });
+        }
+      }
+    }
+    if (candidates.some(c => c.count >= byArea)) break;
+  }
+  candidates.sort((a, b) => b.count - a.count);
+
+  let best = { copies: [], degrees: 0 };
+  for (const { template, largeShape, frame, degrees, lattice, count } of candidates) {
+    if (count <= best.copies.length || best.copies.length === byArea) break;
+    const positions = getLatticeRows(lattice).flat();
+    const copies = placeCopies(template, largeShape, positions, { center, ...frame }, byArea);
+    if (copies.length > best.copies.length) {
+      best = { copies, degrees };
+    }
+  }
+  const rotation = (best.degrees * Math.PI) / 180;
+
+  return {
+    ratio,
+    byArea,
+    fitCount: best.copies.length,
+    rotation: best.degrees,
+    copies: best.copies.slice(0, MAX_COPIES).map(copy => toOverlayTransform(small, center, rotation, copy.target))
+  };
+}
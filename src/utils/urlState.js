@@ -0,0 +1,66 @@
+// Serialize a comparison (overlays, selection and map view) to and from the
+// URL query string, so it can be shared as a link:
+//
+//   ?o=US-TX,US,12.5,20.1,20,ff6b6b&o=DE-BY,DE,0,0,0,4ecdc4&sel=0&map=45.2,10.1,4
+//
+// Each `o` holds code, country, offset (lng, lat in degrees), rotation in
+// degrees and color. `sel` is the index of the selected overlay and `map`
+// is the view center (lat, lng) and zoom.
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+function serializeOverlay(ref) {
+  const rotationDeg = (ref.rotation * 180) / Math.PI;
+  return [
+    ref.code,
+    ref.country,
+    round(ref.offset[0], 3),
+    round(ref.offset[1], 3),
+    round(rotationDeg, 1),
+    ref.color.replace('#', '').toLowerCase()
+  ].join(',');
+}
+
+function parseOverlay(value) {
+  const [code, country, dLng, dLat, rotationDeg, color] = value.split(',');
+  if (!code) return null;
+  return {
+    code,
+    country: country || null,
+    offset: [Number(dLng) || 0, Number(dLat) || 0],
+    rotation: ((Number(rotationDeg) || 0) * Math.PI) / 180,
+    color: /^[0-9a-f]{6}$/i.test(color || '') ? `#${color.toUpperCase()}` : undefined
+  };
+}
+
+// Build the query string (including the leading '?') for a comparison state
+export function serializeComparison({ overlays, selectedIndex, view }) {
+  const parts = overlays.map(ref => `o=${encodeURIComponent(serializeOverlay(ref)).replace(/%2C/g, ',')}`);
+
+  if (selectedIndex !== null && selectedIndex !== undefined) {
+    parts.push(`sel=${selectedIndex}`);
+  }
+  if (view) {
+    parts.push(`map=${round(view.center[0], 4)},${round(view.center[1], 4)},${view.zoom}`);
+  }
+
+  return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+// Parse a query string into a comparison state (see comparisonState.js)
+export function parseComparison(search) {
+  const params = new URLSearchParams(search);
+
+  const overlays = params.getAll('o').map(parseOverlay).filter(Boolean);
+
+  const sel = params.get('sel');
+  const selectedIndex = sel !== null && Number.isInteger(Number(sel)) ? Number(sel) : null;
+
+  let view = null;
+  const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+  if ([lat, lng, zoom].every(Number.isFinite)) {
+    view = { center: [lat, lng], zoom };
+  }
+
+  return { overlays, selectedIndex, view };
+}
@@ -0,0 +1,65 @@
+// IndexedDB persistence for imported features. Imported boundaries can be
+// several megabytes, more than local storage reliably holds. Failures are
+// logged and otherwise ignored, like the local storage helpers.
+
+const DB_NAME = 'howbigisit';
+const DB_VERSION = 1;
+const STORE = 'userFeatures';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'properties.code' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one transaction and resolve with the result of its request, if any
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = callback(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export async function loadUserFeatures() {
+  try {
+    return (await withStore('readonly', store => store.getAll())) || [];
+  } catch (error) {
+    console.error('Failed to read imported features:', error);
+    return [];
+  }
+}
+
+export async function storeUserFeatures(features) {
+  try {
+    await withStore('readwrite', store => {
+      features.forEach(feature => store.put(feature));
+    });
+  } catch (error) {
+    // Storage may be full or disabled (private browsing)
+    console.error('Failed to store imported features:', error);
+  }
+}
+
+export async function deleteUserFeature(code) {
+  try {
+    await withStore('readwrite', store => store.delete(code));
+  } catch (error) {
+    console.error('Failed to delete imported feature:', error);
+  }
+}